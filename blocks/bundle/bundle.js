@@ -0,0 +1,226 @@
+/**
+ * Bundle Block - "Frequently bought together" offer for a product
+ *
+ * Document Structure (in Word/Google Docs), all rows optional:
+ * | bundle |                             |
+ * | sku    | OLED55G54LW                 |
+ * | title  | Frequently bought together  |
+ *
+ * Without a SKU the block follows the product on the page, including variant
+ * switches. The `compact` variant is used inside the product buy box. The
+ * block hides itself when the product has no bundle.
+ */
+
+import { readBlockConfig } from '../../scripts/aem.js';
+import { isMember, onAuthChange } from '../../scripts/auth.js';
+import { getBundlePricing, getBundles } from '../../scripts/bundles.js';
+import { addItemsToCart } from '../../scripts/cart.js';
+import {
+  getCurrentProduct,
+  getProduct,
+  getSkuFromUrl,
+  normalizeSku,
+  onProductChange,
+} from '../../scripts/catalog.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { getLocalePath } from '../../scripts/locale.js';
+import { formatPrice, getActivePrice } from '../../scripts/pricing.js';
+
+const DEFAULT_TITLE = 'Frequently bought together';
+
+/**
+ * Loads a bundle product, preferring the product already on the page
+ * @param {string} sku - Product SKU
+ * @returns {Promise<Object|null>} Product
+ */
+async function loadProduct(sku) {
+  const current = getCurrentProduct();
+  if (current && normalizeSku(current.sku) === sku) return current;
+  try {
+    return await getProduct(sku);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`Failed to load bundle product ${sku}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Create HTML for one bundle item
+ * @param {Object} product - Product
+ * @param {boolean} isMain - Whether this is the main product
+ * @param {boolean} checked - Whether the item is selected
+ * @returns {string} HTML string
+ */
+function createItemHTML(product, isMain, checked) {
+  const unavailable = product.availability === 'out-of-stock';
+  const money = { currency: product.currency };
+  return `
+    <li class="bundle-item${isMain ? ' bundle-item-main' : ''}">
+      <label class="bundle-item-label">
+        <input type="checkbox" class="bundle-item-check" value="${escapeHtml(product.sku)}"
+          ${checked && !unavailable ? 'checked' : ''} ${unavailable ? 'disabled' : ''}>
+        <img class="bundle-item-image" src="${escapeHtml(product.galleryImages?.[0]?.src || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+        <span class="bundle-item-name">${isMain ? '<strong>This item:</strong> ' : ''}${escapeHtml(product.shortName || product.name)}</span>
+        <span class="bundle-item-price">${unavailable ? 'Out of stock' : formatPrice(getActivePrice(product, isMember()), money)}</span>
+      </label>
+    </li>
+  `;
+}
+
+/**
+ * Renders the bundle items and the combined price
+ * @param {HTMLElement} block - The block element
+ * @param {Object} state - Block state ({ title, bundle, products, selected })
+ */
+function render(block, state) {
+  const { bundle, products, selected } = state;
+  block.hidden = !bundle;
+  if (!bundle) {
+    block.innerHTML = '';
+    return;
+  }
+
+  const [main] = products;
+  const money = { currency: main.currency };
+  const chosen = products.filter((product) => selected.has(product.sku));
+  const pricing = getBundlePricing(bundle, chosen.map((product) => ({
+    sku: product.sku,
+    price: getActivePrice(product, isMember()),
+  })));
+
+  block.innerHTML = `
+    <h2 class="bundle-title">${escapeHtml(state.title || bundle.title || DEFAULT_TITLE)}</h2>
+    <div class="bundle-content">
+      <ul class="bundle-items">
+        ${products.map((product, index) => createItemHTML(product, index === 0, selected.has(product.sku))).join('')}
+      </ul>
+      <div class="bundle-summary" aria-live="polite">
+        <dl class="bundle-totals">
+          <dt>Total price</dt>
+          <dd>${formatPrice(pricing.total, money)}</dd>
+          ${pricing.discount ? `
+            <dt class="bundle-saving">Bundle saving</dt>
+            <dd class="bundle-saving">−${formatPrice(pricing.discount, money)}</dd>
+          ` : ''}
+          <dt class="bundle-price-label">Bundle price</dt>
+          <dd class="bundle-price">${formatPrice(pricing.price, money)}</dd>
+        </dl>
+        ${bundle.discount && !selected.has(main.sku) ? `
+          <p class="bundle-hint">Buy with ${escapeHtml(main.shortName || main.name)} to save ${bundle.discount}% on the extras.</p>
+        ` : ''}
+        <button type="button" class="bundle-add-btn" ${chosen.length ? '' : 'disabled'}>
+          ${chosen.length === 1 ? 'Add to cart' : `Add ${chosen.length} items to cart`}
+        </button>
+        <p class="bundle-status" role="status"></p>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Adds the selected items to the cart, keeping the saving as a linked adjustment
+ * @param {HTMLElement} block - The block element
+ * @param {Object} state - Block state
+ */
+function addSelectedToCart(block, state) {
+  const { bundle, products, selected } = state;
+  const chosen = products.filter((product) => selected.has(product.sku));
+  if (!chosen.length) return;
+
+  const { discount } = getBundlePricing(bundle, chosen.map((product) => ({
+    sku: product.sku,
+    price: getActivePrice(product, isMember()),
+  })));
+
+  addItemsToCart(chosen.map((product) => ({
+    sku: product.sku,
+    name: product.shortName || product.name,
+    size: product.selectedSize,
+    price: product.price,
+    memberPrice: product.memberPrice,
+    currency: product.currency,
+    image: product.galleryImages?.[0]?.src,
+    url: getLocalePath(`/products/${product.sku}`),
+  })), discount ? {
+    type: 'bundle',
+    label: `Bundle saving: ${bundle.title || DEFAULT_TITLE}`,
+    amount: discount,
+  } : null);
+
+  block.querySelector('.bundle-status').textContent = `${chosen.length === 1 ? 'Item' : `${chosen.length} items`} added to your cart.`;
+}
+
+/**
+ * Loads the first bundle of a product
+ * @param {HTMLElement} block - The block element
+ * @param {Object} state - Block state
+ * @param {string} sku - Main product SKU
+ */
+async function loadBundle(block, state, sku) {
+  state.sku = sku;
+  let bundle = null;
+  let products = [];
+  try {
+    [bundle] = await getBundles(sku);
+    if (bundle) {
+      products = (await Promise.all([bundle.sku, ...bundle.items].map(loadProduct)))
+        .filter((product) => product?.price);
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to load bundles:', error);
+  }
+  // a newer product was selected while loading
+  if (state.sku !== sku) return;
+
+  // a bundle needs its main product and at least one add-on
+  const valid = bundle && products.length > 1 && normalizeSku(products[0].sku) === bundle.sku;
+  state.bundle = valid ? bundle : null;
+  state.products = valid ? products : [];
+  state.selected = new Set(state.products
+    .filter((product) => product.availability !== 'out-of-stock')
+    .map((product) => product.sku));
+  render(block, state);
+}
+
+/**
+ * Main decoration function
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  const state = {
+    title: config.title,
+    sku: '',
+    bundle: null,
+    products: [],
+    selected: new Set(),
+  };
+  block.hidden = true;
+  block.textContent = '';
+
+  block.addEventListener('change', (e) => {
+    const check = e.target.closest('.bundle-item-check');
+    if (!check) return;
+    if (check.checked) state.selected.add(check.value);
+    else state.selected.delete(check.value);
+    render(block, state);
+    block.querySelector(`.bundle-item-check[value="${check.value}"]`).focus();
+  });
+
+  block.addEventListener('click', (e) => {
+    if (e.target.closest('.bundle-add-btn')) addSelectedToCart(block, state);
+  });
+
+  onAuthChange(() => render(block, state));
+
+  const sku = normalizeSku(config.sku) || getCurrentProduct()?.sku || getSkuFromUrl();
+  await loadBundle(block, state, sku);
+
+  if (!config.sku) {
+    onProductChange((product) => {
+      if (product.sku !== state.sku) loadBundle(block, state, product.sku);
+    });
+  }
+}
@@ -1,4 +1,77 @@
 import { createOptimizedPicture } from '../../scripts/aem.js';
+import { isMember, onAuthChange, requestSignIn } from '../../scripts/auth.js';
+import { getProduct, getSkuFromUrl } from '../../scripts/catalog.js';
+import { formatPrice, getActivePrice } from '../../scripts/pricing.js';
+
+/**
+ * Creates the price line for a product card
+ * @param {Object} product - Product
+ * @returns {string} Price HTML
+ */
+function createCardPriceHTML(product) {
+  const money = { currency: product.currency };
+  const member = isMember();
+  const active = getActivePrice(product, member);
+  const hasMemberPrice = getActivePrice(product, true) < product.price;
+
+  let memberHTML = '';
+  if (member && active < product.price) {
+    memberHTML = `
+      <span class="cards-card-price-was">${formatPrice(product.price, money)}</span>
+      <span class="cards-card-member-applied">Member price</span>
+    `;
+  } else if (!member && hasMemberPrice) {
+    memberHTML = `
+      <button type="button" class="cards-card-member-unlock">
+        Members Only ${formatPrice(product.memberPrice, money)} – Sign in to unlock
+      </button>
+    `;
+  }
+
+  return `
+    <span class="cards-card-price-current">${formatPrice(active, money)}</span>
+    ${memberHTML}
+  `;
+}
+
+/**
+ * Adds prices to cards that link to a product page
+ * @param {Element} ul - The card list
+ */
+async function decorateProductCards(ul) {
+  const cards = [...ul.children]
+    .map((li) => {
+      const link = li.querySelector('a[href*="/products/"]');
+      if (!link) return null;
+      return { li, sku: getSkuFromUrl(new URL(link.href, window.location.href).pathname) };
+    })
+    .filter((card) => card?.sku);
+  if (!cards.length) return;
+
+  const priced = (await Promise.all(cards.map(async (card) => {
+    try {
+      const product = await getProduct(card.sku);
+      if (!product?.price) return null;
+      const price = document.createElement('p');
+      price.className = 'cards-card-price';
+      price.innerHTML = createCardPriceHTML(product);
+      (card.li.querySelector('.cards-card-body') || card.li).append(price);
+      return { price, product };
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`Failed to load price for ${card.sku}:`, error);
+      return null;
+    }
+  }))).filter(Boolean);
+  if (!priced.length) return;
+
+  ul.addEventListener('click', (e) => {
+    if (e.target.closest('.cards-card-member-unlock')) requestSignIn();
+  });
+  onAuthChange(() => priced.forEach(({ price, product }) => {
+    price.innerHTML = createCardPriceHTML(product);
+  }));
+}
 
 export default function decorate(block) {
   /* change to ul, li */
@@ -14,4 +87,5 @@ export default function decorate(block) {
   });
   ul.querySelectorAll('picture > img').forEach((img) => img.closest('picture').replaceWith(createOptimizedPicture(img.src, img.alt, false, [{ width: '750' }])));
   block.replaceChildren(ul);
+  decorateProductCards(ul);
 }
@@ -0,0 +1,192 @@
+/**
+ * Cart Block - Full cart page with line items and totals
+ * Reads the client-side cart and re-renders whenever it changes,
+ * including changes made in other open tabs.
+ *
+ * Document Structure (in Word/Google Docs):
+ * | cart |
+ */
+
+import { isMember, onAuthChange, requestSignIn } from '../../scripts/auth.js';
+import {
+  getCart,
+  getCartTotals,
+  getLineAdjustmentTotal,
+  getLineMonthlyPayment,
+  getLinePrice,
+  onCartChange,
+  removeAdjustment,
+  removeFromCart,
+  updateQuantity,
+} from '../../scripts/cart.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { describePlan } from '../../scripts/finance.js';
+import { getLocalePath, getPlaceholderText, getPlaceholders } from '../../scripts/locale.js';
+import { formatPrice, getActivePrice } from '../../scripts/pricing.js';
+
+/**
+ * Create HTML for a single cart line
+ * @param {Object} line - Cart line
+ * @param {Object<string, string>} placeholders - Placeholders of the country site
+ * @returns {string} HTML string
+ */
+function createLineHTML(line, placeholders) {
+  const money = { currency: line.currency };
+  const unitPrice = getLinePrice(line);
+  const memberApplied = unitPrice < line.price;
+  const monthly = getPlaceholderText(placeholders, 'perMonth', '{price}/month', {
+    price: formatPrice(getLineMonthlyPayment(line), money),
+  });
+  return `
+    <li class="cart-line" data-id="${escapeHtml(line.id)}">
+      <a class="cart-line-image" href="${escapeHtml(line.url)}">
+        <img src="${escapeHtml(line.image || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+      </a>
+      <div class="cart-line-info">
+        <a class="cart-line-name" href="${escapeHtml(line.url)}">${escapeHtml(line.name)}</a>
+        <span class="cart-line-sku">${escapeHtml(line.sku)}${line.size ? ` | ${escapeHtml(line.size)}` : ''}</span>
+        <button type="button" class="cart-line-remove">${getPlaceholderText(placeholders, 'remove', 'Remove')}</button>
+      </div>
+      <div class="cart-line-quantity">
+        <button type="button" class="cart-qty-btn" data-step="-1" aria-label="${getPlaceholderText(placeholders, 'decreaseQuantity', 'Decrease quantity')}">−</button>
+        <span class="cart-qty-value" aria-live="polite">${line.quantity}</span>
+        <button type="button" class="cart-qty-btn" data-step="1" aria-label="${getPlaceholderText(placeholders, 'increaseQuantity', 'Increase quantity')}">+</button>
+      </div>
+      <div class="cart-line-price">
+        ${line.plan?.type === 'subscription' ? `
+          <span class="cart-line-total">${monthly}</span>
+        ` : `
+          ${memberApplied ? `<span class="cart-line-was">${formatPrice(line.price * line.quantity, money)}</span>` : ''}
+          <span class="cart-line-total">${formatPrice(unitPrice * line.quantity, money)}</span>
+          ${line.plan ? `<span class="cart-line-monthly">${getPlaceholderText(placeholders, 'orMonthly', 'or {monthly}', { monthly })}</span>` : ''}
+        `}
+        ${memberApplied ? `<span class="cart-line-member">${getPlaceholderText(placeholders, 'memberPrice', 'Member price')}</span>` : ''}
+        ${line.plan ? `<span class="cart-line-plan">${line.plan.name ? `${escapeHtml(line.plan.name)}, ` : ''}${describePlan(line.plan)}</span>` : ''}
+        ${line.quantity > 1 && !line.plan ? `<span class="cart-line-unit">${getPlaceholderText(placeholders, 'priceEach', '{price} each', { price: formatPrice(unitPrice, money) })}</span>` : ''}
+      </div>
+      ${line.adjustments?.length ? `
+        <ul class="cart-line-adjustments">
+          ${line.adjustments.map((adj) => `
+            <li class="cart-line-adjustment" data-type="${escapeHtml(adj.type)}">
+              <span class="cart-line-adjustment-label">${escapeHtml(adj.label)}</span>
+              <span class="cart-line-adjustment-amount">−${formatPrice(adj.amount, money)}</span>
+              <button type="button" class="cart-line-adjustment-remove" aria-label="${getPlaceholderText(placeholders, 'removeItem', 'Remove {name}', { name: escapeHtml(adj.label) })}">${getPlaceholderText(placeholders, 'remove', 'Remove')}</button>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Create the complete cart HTML
+ * @param {Object} cart - Cart with lines
+ * @param {Object} totals - Cart totals
+ * @param {Object<string, string>} placeholders - Placeholders of the country site
+ * @returns {string} HTML string
+ */
+function createCartHTML(cart, totals, placeholders) {
+  if (!cart.lines.length) {
+    return `
+      <div class="cart-empty">
+        <h1>${getPlaceholderText(placeholders, 'cartEmpty', 'Your cart is empty')}</h1>
+        <p><a href="${getLocalePath('/')}" class="button">${getPlaceholderText(placeholders, 'continueShopping', 'Continue shopping')}</a></p>
+      </div>
+    `;
+  }
+
+  const money = { currency: totals.currency };
+  const memberSavingsAvailable = isMember() ? 0 : cart.lines.reduce(
+    (total, line) => total + (line.price - getActivePrice(line, true)) * line.quantity,
+    0,
+  );
+
+  return `
+    <div class="cart-container">
+      <div class="cart-items">
+        <h1 class="cart-title">${getPlaceholderText(placeholders, 'cartTitle', 'Your Cart ({count})', { count: totals.count })}</h1>
+        <ul class="cart-lines">${cart.lines.map((line) => createLineHTML(line, placeholders)).join('')}</ul>
+      </div>
+      <aside class="cart-summary">
+        <h2>${getPlaceholderText(placeholders, 'orderSummary', 'Order Summary')}</h2>
+        <dl class="cart-totals">
+          <dt>${getPlaceholderText(placeholders, 'subtotal', 'Subtotal')}</dt>
+          <dd>${formatPrice(totals.subtotal + totals.memberSavings, money)}</dd>
+          ${totals.memberSavings > 0 ? `
+            <dt class="cart-member-savings">${getPlaceholderText(placeholders, 'memberSavings', 'Member savings')}</dt>
+            <dd class="cart-member-savings">−${formatPrice(totals.memberSavings, money)}</dd>
+          ` : ''}
+          ${cart.lines.filter((line) => getLineAdjustmentTotal(line) > 0).map((line) => `
+            <dt class="cart-adjustment">${line.adjustments.map((adj) => escapeHtml(adj.label)).join(', ')}</dt>
+            <dd class="cart-adjustment">−${formatPrice(getLineAdjustmentTotal(line), money)}</dd>
+          `).join('')}
+          <dt>${getPlaceholderText(placeholders, 'delivery', 'Delivery')}</dt>
+          <dd>${getPlaceholderText(placeholders, 'free', 'Free')}</dd>
+          <dt class="cart-total-label">${getPlaceholderText(placeholders, 'total', 'Total')}</dt>
+          <dd class="cart-total-value">${formatPrice(totals.total, money)}</dd>
+          ${totals.monthly > 0 ? `
+            <dt class="cart-monthly">${getPlaceholderText(placeholders, 'monthlyPayments', 'Monthly payments')}</dt>
+            <dd class="cart-monthly">${getPlaceholderText(placeholders, 'perMonth', '{price}/month', { price: formatPrice(totals.monthly, money) })}</dd>
+          ` : ''}
+        </dl>
+        ${memberSavingsAvailable > 0 ? `
+          <p class="cart-member-unlock">
+            <button type="button" class="cart-member-unlock-btn">${getPlaceholderText(placeholders, 'signIn', 'Sign in')}</button>
+            ${getPlaceholderText(placeholders, 'unlockMemberPrices', 'to unlock member prices and save {price}', { price: formatPrice(memberSavingsAvailable, money) })}
+          </p>
+        ` : ''}
+        <button type="button" class="cart-checkout-btn">${getPlaceholderText(placeholders, 'checkout', 'Checkout')}</button>
+      </aside>
+    </div>
+  `;
+}
+
+/**
+ * Renders the cart into the block
+ * @param {HTMLElement} block - The block element
+ * @param {Object<string, string>} placeholders - Placeholders of the country site
+ */
+function renderCart(block, placeholders) {
+  block.innerHTML = createCartHTML(getCart(), getCartTotals(), placeholders);
+}
+
+/**
+ * Main decoration function
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  const placeholders = await getPlaceholders();
+  renderCart(block, placeholders);
+
+  block.addEventListener('click', (e) => {
+    if (e.target.closest('.cart-member-unlock-btn')) {
+      requestSignIn();
+      return;
+    }
+
+    const line = e.target.closest('.cart-line');
+    if (!line) return;
+    const { id } = line.dataset;
+
+    if (e.target.closest('.cart-line-remove')) {
+      removeFromCart(id);
+      return;
+    }
+
+    const adjustment = e.target.closest('.cart-line-adjustment-remove');
+    if (adjustment) {
+      removeAdjustment(id, adjustment.closest('.cart-line-adjustment').dataset.type);
+      return;
+    }
+
+    const stepBtn = e.target.closest('.cart-qty-btn');
+    if (stepBtn) {
+      const current = getCart().lines.find((l) => l.id === id);
+      if (current) updateQuantity(id, current.quantity + Number(stepBtn.dataset.step));
+    }
+  });
+
+  onCartChange(() => renderCart(block, placeholders));
+  onAuthChange(() => renderCart(block, placeholders));
+}
@@ -0,0 +1,79 @@
+import { loadCSS } from '../../scripts/aem.js';
+import {
+  MAX_COMPARE_ITEMS,
+  clearCompare,
+  getCompareItems,
+  onCompareChange,
+  removeFromCompare,
+} from '../../scripts/compare.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { getLocalePath, getPlaceholderText, getPlaceholders } from '../../scripts/locale.js';
+
+const COMPARE_PAGE = '/compare';
+
+// translated UI strings, empty (so English) until the placeholders sheet loads
+let placeholders = {};
+
+/**
+ * Renders the tray contents
+ * @param {Element} tray - The tray element
+ * @param {Array} items - Compare items
+ */
+function renderTray(tray, items) {
+  tray.hidden = !items.length;
+  const slots = [...items, ...Array(MAX_COMPARE_ITEMS - items.length).fill(null)];
+
+  tray.querySelector('.compare-tray-items').innerHTML = slots.map((item) => (item ? `
+    <li class="compare-tray-item" data-sku="${escapeHtml(item.sku)}">
+      <img class="compare-tray-thumb" src="${escapeHtml(item.image || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+      <span class="compare-tray-name">${escapeHtml(item.name)}</span>
+      <button type="button" class="compare-tray-remove" aria-label="${getPlaceholderText(placeholders, 'removeFromCompare', 'Remove {name} from compare', { name: escapeHtml(item.sku) })}">×</button>
+    </li>
+  ` : `<li class="compare-tray-item compare-tray-empty"><span>${getPlaceholderText(placeholders, 'addAProduct', 'Add a product')}</span></li>`)).join('');
+
+  const compareLink = tray.querySelector('.compare-tray-link');
+  compareLink.textContent = getPlaceholderText(placeholders, 'compareCount', 'Compare ({count})', { count: items.length });
+  compareLink.classList.toggle('disabled', items.length < 2);
+  compareLink.setAttribute('aria-disabled', items.length < 2 ? 'true' : 'false');
+}
+
+/**
+ * Adds the persistent compare tray to the page (once)
+ * The tray lists the products picked with "Add to compare" and links to the
+ * compare page.
+ */
+export default function decorateCompareTray() {
+  if (document.querySelector('.compare-tray')) return;
+  loadCSS(`${window.hlx.codeBasePath}/blocks/compare/compare-tray.css`);
+
+  const tray = document.createElement('aside');
+  tray.className = 'compare-tray';
+  tray.setAttribute('aria-label', getPlaceholderText(placeholders, 'compareProducts', 'Compare products'));
+  tray.innerHTML = `
+    <div class="compare-tray-content">
+      <ul class="compare-tray-items"></ul>
+      <div class="compare-tray-actions">
+        <a class="compare-tray-link button" href="${getLocalePath(COMPARE_PAGE)}"></a>
+        <button type="button" class="compare-tray-clear">${getPlaceholderText(placeholders, 'clearAll', 'Clear all')}</button>
+      </div>
+    </div>
+  `;
+
+  tray.addEventListener('click', (e) => {
+    const remove = e.target.closest('.compare-tray-remove');
+    if (remove) removeFromCompare(remove.closest('.compare-tray-item').dataset.sku);
+    if (e.target.closest('.compare-tray-clear')) clearCompare();
+    if (e.target.closest('.compare-tray-link.disabled')) e.preventDefault();
+  });
+
+  document.body.append(tray);
+  renderTray(tray, getCompareItems());
+  onCompareChange((items) => renderTray(tray, items));
+
+  getPlaceholders().then((loaded) => {
+    placeholders = loaded;
+    tray.setAttribute('aria-label', getPlaceholderText(placeholders, 'compareProducts', 'Compare products'));
+    tray.querySelector('.compare-tray-clear').textContent = getPlaceholderText(placeholders, 'clearAll', 'Clear all');
+    renderTray(tray, getCompareItems());
+  });
+}
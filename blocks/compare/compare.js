@@ -0,0 +1,191 @@
+/**
+ * Compare Block - Side-by-side comparison of up to four products
+ * Shows price, rating and key specs, aligned by spec label.
+ *
+ * Document Structure (in Word/Google Docs):
+ * | compare |
+ * | OLED55G54LW |
+ * | OLED65C54LA |
+ *
+ * Rows may also hold links to product pages. Without authored SKUs the block
+ * compares the products in the shopper's compare tray.
+ */
+
+import {
+  flattenSpecs,
+  getProduct,
+  getProductSpecs,
+  getSkuFromUrl,
+  normalizeSku,
+} from '../../scripts/catalog.js';
+import {
+  MAX_COMPARE_ITEMS,
+  getCompareItems,
+  onCompareChange,
+  removeFromCompare,
+} from '../../scripts/compare.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { getLocalePath } from '../../scripts/locale.js';
+import { formatPrice } from '../../scripts/pricing.js';
+
+/**
+ * Read authored SKUs from the block rows
+ * @param {HTMLElement} block - The block element
+ * @returns {Array<string>} SKUs
+ */
+function getAuthoredSkus(block) {
+  return [...block.querySelectorAll(':scope > div > div')]
+    .map((cell) => {
+      const link = cell.querySelector('a');
+      return link ? getSkuFromUrl(new URL(link.href).pathname) : normalizeSku(cell.textContent);
+    })
+    .filter((sku) => sku)
+    .slice(0, MAX_COMPARE_ITEMS);
+}
+
+/**
+ * Load product and spec data for each SKU
+ * @param {Array<string>} skus - SKUs to compare
+ * @returns {Promise<Array>} Entries ({ product, specs })
+ */
+async function loadEntries(skus) {
+  const entries = await Promise.all(skus.map(async (sku) => {
+    try {
+      // no shared fallback: borrowed specs would make every product look the same
+      const [product, specs] = await Promise.all([
+        getProduct(sku),
+        getProductSpecs(sku, { shared: false }),
+      ]);
+      return product ? { product, specs: flattenSpecs(specs) } : null;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`Compare: failed to load ${sku}`, error);
+      return null;
+    }
+  }));
+  return entries.filter((entry) => entry);
+}
+
+/**
+ * Create HTML for one comparison row
+ * @param {string} label - Row label, as HTML
+ * @param {Array<string>} values - One value per product, as HTML
+ * @returns {string} HTML string
+ */
+function createRowHTML(label, values) {
+  const differs = new Set(values).size > 1;
+  return `
+    <tr class="compare-row"${differs ? ' data-differs="true"' : ''}>
+      <th scope="row">${label}</th>
+      ${values.map((value) => `<td>${value}</td>`).join('')}
+    </tr>
+  `;
+}
+
+/**
+ * Create the comparison table HTML
+ * @param {Array} entries - Entries ({ product, specs })
+ * @param {boolean} removable - Whether columns can be removed (tray mode)
+ * @returns {string} HTML string
+ */
+function createTableHTML(entries, removable) {
+  const labels = [];
+  entries.forEach(({ specs }) => {
+    specs.forEach((value, label) => {
+      if (!labels.includes(label)) labels.push(label);
+    });
+  });
+
+  const priceRow = createRowHTML('Price', entries.map(({ product }) => formatPrice(product.price, {
+    currency: product.currency,
+  })));
+  const ratingRow = createRowHTML('Rating', entries.map(({ product }) => (product.reviewCount
+    ? `<span class="compare-stars">★</span> ${product.rating} (${product.reviewCount})`
+    : '–')));
+  const specRows = labels.map((label) => createRowHTML(
+    escapeHtml(label),
+    entries.map(({ specs }) => (specs.get(label) ? escapeHtml(specs.get(label)) : '–')),
+  ));
+
+  return `
+    <div class="compare-toolbar">
+      <label class="compare-diff-toggle">
+        <input type="checkbox"> Highlight differences
+      </label>
+    </div>
+    <div class="compare-table-wrapper">
+      <table class="compare-table">
+        <thead>
+          <tr>
+            <td></td>
+            ${entries.map(({ product }) => `
+              <th scope="col" class="compare-product">
+                <a href="${getLocalePath(`/products/${product.sku}`)}">
+                  <img class="compare-product-image" src="${escapeHtml(product.galleryImages[0]?.src || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+                  <span class="compare-product-name">${escapeHtml(product.shortName)}</span>
+                </a>
+                <span class="compare-product-sku">${escapeHtml(product.sku)}</span>
+                ${removable ? `<button type="button" class="compare-remove" data-sku="${escapeHtml(product.sku)}">Remove</button>` : ''}
+              </th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${priceRow}
+          ${ratingRow}
+          ${specRows.join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render the comparison for the given SKUs
+ * @param {HTMLElement} block - The block element
+ * @param {Array<string>} skus - SKUs to compare
+ * @param {boolean} removable - Whether columns can be removed (tray mode)
+ */
+async function renderComparison(block, skus, removable) {
+  if (!skus.length) {
+    block.innerHTML = '<p class="compare-empty">Add products to compare using "Add to compare" on any product page.</p>';
+    return;
+  }
+
+  const entries = await loadEntries(skus);
+  if (!entries.length) {
+    block.innerHTML = '<p class="compare-empty">These products are no longer available to compare.</p>';
+    return;
+  }
+
+  const highlight = block.classList.contains('highlight-differences');
+  block.innerHTML = createTableHTML(entries, removable);
+  block.querySelector('.compare-diff-toggle input').checked = highlight;
+}
+
+/**
+ * Main decoration function
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  const authoredSkus = getAuthoredSkus(block);
+  const fromTray = !authoredSkus.length;
+  const getSkus = () => (fromTray ? getCompareItems().map((item) => item.sku) : authoredSkus);
+
+  block.addEventListener('change', (e) => {
+    if (e.target.closest('.compare-diff-toggle')) {
+      block.classList.toggle('highlight-differences', e.target.checked);
+    }
+  });
+
+  block.addEventListener('click', (e) => {
+    const remove = e.target.closest('.compare-remove');
+    if (remove) removeFromCompare(remove.dataset.sku);
+  });
+
+  await renderComparison(block, getSkus(), fromTray);
+
+  if (fromTray) {
+    onCompareChange(() => renderComparison(block, getSkus(), true));
+  }
+}
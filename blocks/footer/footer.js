@@ -1,4 +1,5 @@
 import { getMetadata } from '../../scripts/aem.js';
+import createCountrySelector from '../../scripts/country-selector.js';
 import { loadFragment } from '../fragment/fragment.js';
 
 /**
@@ -169,6 +170,7 @@ export default async function decorate(block) {
   // Create bottom section (copyright)
   const footerBottom = document.createElement('div');
   footerBottom.className = 'footer-bottom';
+  footerBottom.append(createCountrySelector('footer-country-selector'));
 
   // Section 3: Copyright
   if (sections[3]) {
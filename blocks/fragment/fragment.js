@@ -12,15 +12,23 @@ import {
 import {
   loadSections,
 } from '../../scripts/aem.js';
+import { getLocalePath } from '../../scripts/locale.js';
 
 /**
  * Loads a fragment.
- * @param {string} path The path to the fragment
+ * The current locale's copy is preferred (/footer loads /de/footer on German
+ * pages), falling back to the path as given.
+ * @param {string} fragmentPath The path to the fragment
  * @returns {HTMLElement} The root element of the fragment
  */
-export async function loadFragment(path) {
-  if (path && path.startsWith('/')) {
-    const resp = await fetch(`${path}.plain.html`);
+export async function loadFragment(fragmentPath) {
+  if (fragmentPath && fragmentPath.startsWith('/')) {
+    let path = getLocalePath(fragmentPath);
+    let resp = await fetch(`${path}.plain.html`);
+    if (!resp.ok && path !== fragmentPath) {
+      path = fragmentPath;
+      resp = await fetch(`${path}.plain.html`);
+    }
     if (resp.ok) {
       const main = document.createElement('main');
       main.innerHTML = await resp.text();
@@ -0,0 +1,136 @@
+import {
+  getUser,
+  onAuthChange,
+  onSignInRequest,
+  signIn,
+  signOut,
+} from '../../scripts/auth.js';
+import { getLocalePath } from '../../scripts/locale.js';
+
+/**
+ * Creates the dropdown contents for a signed-out shopper
+ * @returns {string} Dropdown HTML
+ */
+function createSignInHTML() {
+  return `
+    <form class="nav-account-form" novalidate>
+      <h2>Sign in</h2>
+      <p class="nav-account-intro">Sign in to unlock member prices.</p>
+      <label for="nav-account-email">Email</label>
+      <input type="email" id="nav-account-email" name="email" autocomplete="email" required>
+      <label for="nav-account-password">Password</label>
+      <input type="password" id="nav-account-password" name="password" autocomplete="current-password" required>
+      <p class="nav-account-error" role="alert" hidden></p>
+      <button type="submit" class="nav-account-submit">Sign in</button>
+      <a class="nav-account-register" href="${getLocalePath('/account/register')}">Create an account</a>
+    </form>
+  `;
+}
+
+/**
+ * Creates the dropdown contents for a signed-in shopper
+ * @returns {string} Dropdown HTML
+ */
+function createAccountHTML() {
+  return `
+    <p class="nav-account-greeting"></p>
+    <p class="nav-account-member">Member prices unlocked</p>
+    <ul class="nav-account-links">
+      <li><a class="nav-account-link" href="${getLocalePath('/account')}">My account</a></li>
+      <li><a class="nav-account-link" href="${getLocalePath('/account/orders')}">My orders</a></li>
+    </ul>
+    <button type="button" class="nav-account-signout">Sign out</button>
+  `;
+}
+
+/**
+ * Renders the dropdown and icon state for the current user
+ * @param {Element} userLink The header account link
+ * @param {Element} dropdown The dropdown element
+ */
+function renderAccountMenu(userLink, dropdown) {
+  const user = getUser();
+  dropdown.innerHTML = user ? createAccountHTML() : createSignInHTML();
+  if (user) dropdown.querySelector('.nav-account-greeting').textContent = `Hi, ${user.name || user.email}`;
+  userLink.classList.toggle('is-signed-in', Boolean(user));
+  userLink.setAttribute('aria-label', user ? `Account, signed in as ${user.name || user.email}` : 'Account, sign in');
+}
+
+/**
+ * Opens or closes the dropdown
+ * @param {Element} userLink The header account link
+ * @param {Element} dropdown The dropdown element
+ * @param {boolean} open Whether the dropdown should be open
+ */
+function toggleDropdown(userLink, dropdown, open) {
+  dropdown.hidden = !open;
+  userLink.setAttribute('aria-expanded', open ? 'true' : 'false');
+  if (open) {
+    const first = dropdown.querySelector('input, a, button');
+    if (first) first.focus();
+  }
+}
+
+/**
+ * Turns the header user icon into a sign-in / account dropdown
+ * @param {Element} userLink The header account link
+ */
+export default function decorateAccountMenu(userLink) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'nav-account';
+  userLink.replaceWith(wrapper);
+  wrapper.append(userLink);
+
+  const dropdown = document.createElement('div');
+  dropdown.className = 'nav-account-dropdown';
+  dropdown.id = 'nav-account-dropdown';
+  dropdown.hidden = true;
+  wrapper.append(dropdown);
+
+  userLink.setAttribute('aria-haspopup', 'true');
+  userLink.setAttribute('aria-controls', dropdown.id);
+  userLink.setAttribute('aria-expanded', 'false');
+  renderAccountMenu(userLink, dropdown);
+
+  userLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    toggleDropdown(userLink, dropdown, dropdown.hidden);
+  });
+
+  dropdown.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const error = form.querySelector('.nav-account-error');
+    const submit = form.querySelector('.nav-account-submit');
+    error.hidden = true;
+    submit.disabled = true;
+    try {
+      const { email, password } = form.elements;
+      await signIn({ email: email.value.trim(), password: password.value });
+      dropdown.querySelector('a, button').focus();
+    } catch (err) {
+      error.textContent = err.message || 'Sign in failed. Please try again.';
+      error.hidden = false;
+      submit.disabled = false;
+    }
+  });
+
+  dropdown.addEventListener('click', (e) => {
+    if (e.target.closest('.nav-account-signout')) signOut();
+  });
+
+  // close on Escape and on clicks outside the menu
+  wrapper.addEventListener('keydown', (e) => {
+    if (e.code === 'Escape' && !dropdown.hidden) {
+      toggleDropdown(userLink, dropdown, false);
+      userLink.focus();
+    }
+  });
+  document.addEventListener('click', (e) => {
+    if (!dropdown.hidden && !wrapper.contains(e.target)) toggleDropdown(userLink, dropdown, false);
+  });
+
+  onAuthChange(() => renderAccountMenu(userLink, dropdown));
+  // wait for the click that asked for sign-in to finish, or it would close the menu again
+  onSignInRequest(() => setTimeout(() => toggleDropdown(userLink, dropdown, true)));
+}
@@ -1,94 +1,107 @@
-import { getMetadata } from '../../scripts/aem.js';
+import {
+  buildBlock,
+  decorateBlock,
+  getMetadata,
+  loadBlock,
+} from '../../scripts/aem.js';
+import {
+  getBreadcrumb,
+  getBreadcrumbItems,
+  getPageBreadcrumb,
+  getProductBreadcrumb,
+  getSkuFromUrl,
+  onProductChange,
+} from '../../scripts/catalog.js';
+import createCountrySelector from '../../scripts/country-selector.js';
+import { getConfigValue } from '../../scripts/data.js';
+import { trapFocus } from '../../scripts/dom.js';
+import { getLocalePath } from '../../scripts/locale.js';
+import { LAYER_ORDER, addStickyLayer, removeStickyLayer } from '../../scripts/sticky-layers.js';
 import { loadFragment } from '../fragment/fragment.js';
+import decorateAccountMenu from './account-menu.js';
+import getMegaMenus from './mega-menu.js';
+import decorateMiniCart from './mini-cart.js';
+import createMobileDrawer from './mobile-drawer.js';
+import decorateSearchTypeahead from './search-typeahead.js';
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia('(min-width: 900px)');
 
-/**
- * Gets SKU from URL path
- * URL: /products/OLED55G54LW → Returns: OLED55G54LW
- * @returns {string} SKU
- */
-function getSkuFromUrl() {
-  const { pathname } = window.location;
-  const segments = pathname.split('/').filter((s) => s);
-  
-  // Check if we're on a product page
-  const productsIndex = segments.indexOf('products');
-  if (productsIndex >= 0 && segments[productsIndex + 1]) {
-    return segments[productsIndex + 1].toUpperCase();
-  }
-  
-  // Fallback: get last segment as SKU
-  const lastSegment = segments[segments.length - 1] || '';
-  return lastSegment.toUpperCase();
-}
+// how long a mega menu stays open after the pointer leaves it
+const MEGA_MENU_CLOSE_DELAY = 100;
+// the groups of links the arrow keys move across inside a mega menu
+const MEGA_MENU_COLUMNS = '.mega-menu-column, .mega-menu-promo-grid, .mega-menu-recently-viewed';
+// the one recently-viewed block the mega menus share
+let recentlyViewed = null;
+// longer trails keep only their first and last items on mobile until expanded
+const BREADCRUMB_COLLAPSE_AFTER = 3;
 
 /**
- * Creates breadcrumb navigation HTML
+ * Creates breadcrumb navigation
  * @param {Array|string} breadcrumbItems - Breadcrumb items array or SKU string
- * @returns {string} Breadcrumb HTML
+ * @returns {Element} Breadcrumb nav
  */
 function createBreadcrumb(breadcrumbItems) {
   // breadcrumbItems can be an array from API or we construct it from SKU
-  const items = Array.isArray(breadcrumbItems) ? breadcrumbItems : [
-    { label: 'Home', url: '/' },
-    { label: 'TV and Soundbars', url: '/tv-and-soundbars' },
-    { label: 'OLED evo', url: '/tv-and-soundbars/oled-evo' },
-    { label: breadcrumbItems || 'Product', url: null },
-  ];
-
-  const breadcrumbHtml = items.map((item, index) => {
-    const isLast = index === items.length - 1;
-    if (isLast) {
-      return `<span class="breadcrumb-current">${item.label}</span>`;
+  const items = Array.isArray(breadcrumbItems)
+    ? getBreadcrumbItems(breadcrumbItems)
+    : getBreadcrumbItems(null, breadcrumbItems);
+
+  const nav = document.createElement('nav');
+  nav.className = 'header-breadcrumb';
+  nav.setAttribute('aria-label', 'Breadcrumb');
+  const list = document.createElement('ol');
+  list.className = 'breadcrumb-content';
+
+  items.forEach((item, index) => {
+    const li = document.createElement('li');
+    li.className = 'breadcrumb-item';
+    if (index === items.length - 1) {
+      const current = document.createElement('span');
+      current.className = 'breadcrumb-current';
+      current.setAttribute('aria-current', 'page');
+      current.textContent = item.label;
+      li.append(current);
+    } else {
+      const link = document.createElement(item.url ? 'a' : 'span');
+      link.className = item.url ? 'breadcrumb-link' : 'breadcrumb-label';
+      if (item.url) link.href = item.url;
+      link.textContent = item.label;
+      const separator = document.createElement('span');
+      separator.className = 'breadcrumb-separator';
+      separator.setAttribute('aria-hidden', 'true');
+      separator.textContent = '›';
+      li.append(link, separator);
     }
-    return `<a href="${item.url}" class="breadcrumb-link">${item.label}</a><span class="breadcrumb-separator">›</span>`;
-  }).join('');
-
-  return `
-    <nav class="header-breadcrumb">
-      <div class="breadcrumb-content">
-        ${breadcrumbHtml}
-      </div>
-    </nav>
-  `;
+    // the levels between Home and the current page fold away on mobile
+    if (items.length > BREADCRUMB_COLLAPSE_AFTER && index > 0 && index < items.length - 1) {
+      li.classList.add('is-collapsible');
+    }
+    list.append(li);
+  });
+
+  if (list.querySelector('.is-collapsible')) {
+    const expand = document.createElement('li');
+    expand.className = 'breadcrumb-item breadcrumb-expand-item';
+    expand.innerHTML = `<button type="button" class="breadcrumb-expand" aria-label="Show full breadcrumb">…</button>
+      <span class="breadcrumb-separator" aria-hidden="true">›</span>`;
+    expand.querySelector('button').addEventListener('click', () => {
+      nav.classList.add('is-expanded');
+      (list.querySelector('.is-collapsible a') || list.querySelector('a'))?.focus();
+    });
+    list.firstElementChild.after(expand);
+  }
+
+  nav.append(list);
+  return nav;
 }
 
 /**
- * Fetches product breadcrumb data from API
- * @param {string} sku - Product SKU
- * @returns {Promise<Array>} Breadcrumb items
+ * Checks whether the page asks for no breadcrumb (`hide-breadcrumb: true`)
+ * @returns {boolean} True when the breadcrumb is hidden
  */
-async function getBreadcrumbData(sku) {
-  if (!sku) return null;
-  
-  try {
-    const apiUrl = `https://696f0a83a06046ce618526b0.mockapi.io/api/${sku}`;
-    const response = await fetch(apiUrl);
-    
-    if (!response.ok) {
-      return null;
-    }
-    
-    const data = await response.json();
-    
-    if (Array.isArray(data) && data.length > 0) {
-      const normalizedSku = (sku || '').toUpperCase().trim();
-      const product = data.find((item) => {
-        const itemSku = (item.sku || '').toUpperCase().trim();
-        return itemSku === normalizedSku;
-      });
-      
-      if (product && product.breadcrumb) {
-        return product.breadcrumb;
-      }
-    }
-  } catch (error) {
-    console.error('Failed to fetch breadcrumb data:', error);
-  }
-  
-  return null;
+function isBreadcrumbHidden() {
+  return ['true', 'yes', 'on'].includes(getMetadata('hide-breadcrumb').toLowerCase());
 }
 
 function closeOnEscape(e) {
@@ -103,7 +116,7 @@ function closeOnEscape(e) {
     } else if (!isDesktop.matches) {
       // eslint-disable-next-line no-use-before-define
       toggleMenu(nav, navSections);
-      nav.querySelector('button').focus();
+      nav.querySelector('.nav-hamburger button').focus();
     }
   }
 }
@@ -138,6 +151,17 @@ function focusNavSection() {
   document.activeElement.addEventListener('keydown', openOnKeydown);
 }
 
+/**
+ * Keeps mega menu triggers in step with their nav items
+ * @param {Element} sections The container element
+ */
+function syncMegaMenus(sections) {
+  sections.querySelectorAll('.has-mega-menu').forEach((item) => {
+    const expanded = item.getAttribute('aria-expanded') === 'true';
+    item.querySelector(':scope > .mega-menu-trigger')?.setAttribute('aria-expanded', expanded);
+  });
+}
+
 /**
  * Toggles all nav sections
  * @param {Element} sections The container element
@@ -147,6 +171,7 @@ function toggleAllNavSections(sections, expanded = false) {
   sections.querySelectorAll('.nav-sections .default-content-wrapper > ul > li').forEach((section) => {
     section.setAttribute('aria-expanded', expanded);
   });
+  syncMegaMenus(sections);
 }
 
 /**
@@ -205,7 +230,7 @@ function createTopBar(navBrand, navTools) {
   brandContainer.className = 'nav-brand-container';
 
   const homeLink = document.createElement('a');
-  homeLink.href = '/';
+  homeLink.href = getLocalePath('/');
   homeLink.className = 'nav-brand-link';
   homeLink.setAttribute('aria-label', 'LG Home');
   homeLink.innerHTML = `
@@ -244,445 +269,12 @@ function createTopBar(navBrand, navTools) {
 /**
  * Creates mega menu for navigation item
  * @param {Element} navItem The navigation item element
+ * @param {Object} menuData Mega menu content ({ columns, promos })
  */
-function getMegaMenuContent(menuType) {
-  const menus = {
-    'Shop': {
-      columns: [
-        {
-          title: 'Offers',
-          items: [
-            { label: 'All Promotions', url: '/promotions' },
-            { label: 'Exclusive to LG.com', url: '/exclusive' },
-            { label: 'Bundle Offers', url: '/bundle-offers' },
-            { label: 'Trade-Up', url: '/trade-up' },
-            { label: 'Great Offers', url: '/great-offers' },
-            { label: 'Monthly LG', url: '/monthly-lg' },
-            { label: 'LG Flex with Raylo Subscription', url: '/lg-flex' }
-          ]
-        },
-        {
-          title: 'New & Featured',
-          items: [
-            { label: 'Best', url: '/best' },
-            { label: 'New & Upcoming', url: '/new-upcoming' },
-            { label: 'CineBeam Q Projector', url: '/cinebeam-q' },
-            { label: 'MoodUP™ Fridge Freezers', url: '/moodupfridge' },
-            { label: 'A New Way to Care for Your Laundry', url: '/laundry-care' }
-          ]
-        },
-        {
-          title: 'Selected Shops',
-          items: [
-            { label: 'Business Shop', url: '/business-shop' },
-            { label: 'Student Shop', url: '/student-shop' },
-            { label: 'Key Worker Shop', url: '/key-worker-shop' },
-            { label: 'Partner Shop', url: '/partner-shop' }
-          ]
-        },
-        {
-          title: 'Buying Guides',
-          items: [
-            { label: 'TV Lineup Guide', url: '/tv-lineup', badge: 'NEW' },
-            { label: 'TV Features Guide', url: '/tv-features', badge: 'NEW' },
-            { label: 'Monitor Lineup Guide', url: '/monitor-lineup', badge: 'NEW' },
-            { label: 'Monitor Features Guide', url: '/monitor-features', badge: 'NEW' },
-            { label: 'Fridge Freezers Features Guide', url: '/fridge-freezers', badge: 'NEW' },
-            { label: 'Laundry Features Guide', url: '/laundry-features', badge: 'NEW' }
-          ]
-        },
-        {
-          title: 'Why buy from LG',
-          items: [
-            { label: 'LG Member Benefits', url: '/member-benefits' }
-          ]
-        }
-      ],
-      promos: [
-        { url: '/tv-offers', img: 'https://images.unsplash.com/photo-1593359677879-a4bb92f829d1?w=400&h=250&fit=crop', alt: 'Up to 15% off on selected LG TVs' },
-        { url: '/sound-suite', img: 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=400&h=250&fit=crop', alt: 'Introducing Sound Suite' },
-        { url: '/speaker-offer', img: 'https://images.unsplash.com/photo-1545454675-3531b543be5d?w=400&h=250&fit=crop', alt: 'Free Speaker or Soundbar with LG Bundles' },
-        { url: '/washer-dryer', img: 'https://images.unsplash.com/photo-1626806787461-102c1bfaaea1?w=400&h=250&fit=crop', alt: '20% off Washer and Dryer Pairs' }
-      ]
-    },
-    'TV/Audio/Video': {
-      columns: [
-        {
-          title: 'TVs',
-          items: [
-            { label: 'OLED TVs', url: '/tv/oled' },
-            { label: 'QNED TVs', url: '/tv/qned' },
-            { label: 'NanoCell TVs', url: '/tv/nanocell' },
-            { label: '4K TVs', url: '/tv/4k' },
-            { label: 'Smart TVs', url: '/tv/smart' },
-            { label: 'All TVs', url: '/tv/all' }
-          ]
-        },
-        {
-          title: 'Audio',
-          items: [
-            { label: 'Soundbars', url: '/audio/soundbars' },
-            { label: 'Wireless Speakers', url: '/audio/wireless-speakers' },
-            { label: 'Home Theatre', url: '/audio/home-theatre' },
-            { label: 'All Audio', url: '/audio/all' }
-          ]
-        },
-        {
-          title: 'Projectors',
-          items: [
-            { label: 'CineBeam Projectors', url: '/projectors/cinebeam' },
-            { label: '4K Projectors', url: '/projectors/4k' },
-            { label: 'All Projectors', url: '/projectors/all' }
-          ]
-        },
-        {
-          title: 'Shop by Size',
-          items: [
-            { label: '97" TVs', url: '/tv/97-inch' },
-            { label: '83" TVs', url: '/tv/83-inch' },
-            { label: '77" TVs', url: '/tv/77-inch' },
-            { label: '65" TVs', url: '/tv/65-inch' },
-            { label: '55" TVs', url: '/tv/55-inch' }
-          ]
-        },
-        {
-          title: 'Resources',
-          items: [
-            { label: 'TV Buying Guide', url: '/guides/tv' },
-            { label: 'Audio Buying Guide', url: '/guides/audio' },
-            { label: 'Compare TVs', url: '/compare/tv' }
-          ]
-        }
-      ],
-      promos: [
-        { url: '/tv-offers', img: 'https://images.unsplash.com/photo-1593359677879-a4bb92f829d1?w=400&h=250&fit=crop', alt: 'OLED TVs' },
-        { url: '/soundbar-offers', img: 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=400&h=250&fit=crop', alt: 'Soundbars' },
-        { url: '/projector-offers', img: 'https://images.unsplash.com/photo-1478720568477-152d9b164e26?w=400&h=250&fit=crop', alt: 'Projectors' },
-        { url: '/audio-bundle', img: 'https://images.unsplash.com/photo-1545454675-3531b543be5d?w=400&h=250&fit=crop', alt: 'Audio Bundles' }
-      ]
-    },
-    'Appliances': {
-      columns: [
-        {
-          title: 'Kitchen',
-          items: [
-            { label: 'Refrigerators', url: '/appliances/refrigerators' },
-            { label: 'Dishwashers', url: '/appliances/dishwashers' },
-            { label: 'Ovens & Ranges', url: '/appliances/ovens' },
-            { label: 'Microwaves', url: '/appliances/microwaves' },
-            { label: 'All Kitchen', url: '/appliances/kitchen' }
-          ]
-        },
-        {
-          title: 'Laundry',
-          items: [
-            { label: 'Washing Machines', url: '/appliances/washing-machines' },
-            { label: 'Dryers', url: '/appliances/dryers' },
-            { label: 'Washer Dryer Combos', url: '/appliances/combos' },
-            { label: 'All Laundry', url: '/appliances/laundry' }
-          ]
-        },
-        {
-          title: 'Vacuum Cleaners',
-          items: [
-            { label: 'Cordless Vacuums', url: '/appliances/cordless-vacuums' },
-            { label: 'Robot Vacuums', url: '/appliances/robot-vacuums' },
-            { label: 'All Vacuums', url: '/appliances/vacuums' }
-          ]
-        },
-        {
-          title: 'Air Care',
-          items: [
-            { label: 'Air Purifiers', url: '/appliances/air-purifiers' },
-            { label: 'Dehumidifiers', url: '/appliances/dehumidifiers' },
-            { label: 'Stylers', url: '/appliances/stylers' }
-          ]
-        },
-        {
-          title: 'Resources',
-          items: [
-            { label: 'Appliance Buying Guide', url: '/guides/appliances' },
-            { label: 'Energy Efficiency', url: '/guides/energy' },
-            { label: 'Compare Appliances', url: '/compare/appliances' }
-          ]
-        }
-      ],
-      promos: [
-        { url: '/fridge-offers', img: 'https://images.unsplash.com/photo-1571175443880-49e1d25b2bc5?w=400&h=250&fit=crop', alt: 'Refrigerators' },
-        { url: '/laundry-offers', img: 'https://images.unsplash.com/photo-1626806787461-102c1bfaaea1?w=400&h=250&fit=crop', alt: 'Laundry' },
-        { url: '/vacuum-offers', img: 'https://images.unsplash.com/photo-1558317374-067fb5f30001?w=400&h=250&fit=crop', alt: 'Vacuums' },
-        { url: '/aircare-offers', img: 'https://images.unsplash.com/photo-1585771724684-38269d6639fd?w=400&h=250&fit=crop', alt: 'Air Care' }
-      ]
-    },
-    'Heating & Cooling': {
-      columns: [
-        {
-          title: 'Air Conditioning',
-          items: [
-            { label: 'Split Systems', url: '/hvac/split-systems' },
-            { label: 'Multi-Split Systems', url: '/hvac/multi-split' },
-            { label: 'Portable AC', url: '/hvac/portable' },
-            { label: 'All Air Conditioning', url: '/hvac/ac' }
-          ]
-        },
-        {
-          title: 'Heat Pumps',
-          items: [
-            { label: 'Air Source Heat Pumps', url: '/hvac/heat-pumps' },
-            { label: 'Therma V', url: '/hvac/therma-v' },
-            { label: 'All Heat Pumps', url: '/hvac/heating' }
-          ]
-        },
-        {
-          title: 'Shop by Room',
-          items: [
-            { label: 'Living Room', url: '/hvac/living-room' },
-            { label: 'Bedroom', url: '/hvac/bedroom' },
-            { label: 'Office', url: '/hvac/office' },
-            { label: 'Multi-Room', url: '/hvac/multi-room' }
-          ]
-        },
-        {
-          title: 'Features',
-          items: [
-            { label: 'Energy Efficient', url: '/hvac/energy-efficient' },
-            { label: 'Smart Control', url: '/hvac/smart-control' },
-            { label: 'Quiet Operation', url: '/hvac/quiet' }
-          ]
-        },
-        {
-          title: 'Resources',
-          items: [
-            { label: 'HVAC Buying Guide', url: '/guides/hvac' },
-            { label: 'Installation Services', url: '/services/installation' },
-            { label: 'Compare Systems', url: '/compare/hvac' }
-          ]
-        }
-      ],
-      promos: [
-        { url: '/ac-offers', img: 'https://www.rajanandco.in/pub/media/catalog/category/ac001.jpg', alt: 'Air Conditioning' },
-        { url: '/heat-pump-offers', img: 'https://images.unsplash.com/photo-1607400201889-565b1ee75f8e?w=400&h=250&fit=crop', alt: 'Heat Pumps' },
-        { url: '/smart-hvac', img: 'https://images.unsplash.com/photo-1558002038-1055907df827?w=400&h=250&fit=crop', alt: 'Smart HVAC' },
-        { url: '/installation', img: 'https://images.unsplash.com/photo-1581578731548-c64695cc6952?w=400&h=250&fit=crop', alt: 'Installation' }
-      ]
-    },
-    'Computing': {
-      columns: [
-        {
-          title: 'Monitors',
-          items: [
-            { label: 'Gaming Monitors', url: '/computing/gaming-monitors' },
-            { label: 'UltraWide Monitors', url: '/computing/ultrawide' },
-            { label: '4K Monitors', url: '/computing/4k-monitors' },
-            { label: 'All Monitors', url: '/computing/monitors' }
-          ]
-        },
-        {
-          title: 'Laptops',
-          items: [
-            { label: 'Gram Laptops', url: '/computing/gram' },
-            { label: 'Business Laptops', url: '/computing/business' },
-            { label: 'All Laptops', url: '/computing/laptops' }
-          ]
-        },
-        {
-          title: 'Desktop PCs',
-          items: [
-            { label: 'All-in-One PCs', url: '/computing/all-in-one' },
-            { label: 'Desktop Towers', url: '/computing/towers' }
-          ]
-        },
-        {
-          title: 'Accessories',
-          items: [
-            { label: 'Keyboards & Mice', url: '/computing/peripherals' },
-            { label: 'Monitor Arms', url: '/computing/monitor-arms' },
-            { label: 'Laptop Bags', url: '/computing/bags' }
-          ]
-        },
-        {
-          title: 'Resources',
-          items: [
-            { label: 'Monitor Buying Guide', url: '/guides/monitors' },
-            { label: 'Laptop Buying Guide', url: '/guides/laptops' },
-            { label: 'Compare Products', url: '/compare/computing' }
-          ]
-        }
-      ],
-      promos: [
-        { url: '/monitor-offers', img: 'https://images.unsplash.com/photo-1527443224154-c4a3942d3acf?w=400&h=250&fit=crop', alt: 'Monitors' },
-        { url: '/laptop-offers', img: 'https://images.unsplash.com/photo-1588872657578-7efd1f1555ed?w=400&h=250&fit=crop', alt: 'Laptops' },
-        { url: '/gaming-offers', img: 'https://images.unsplash.com/photo-1593305841991-05c297ba4575?w=400&h=250&fit=crop', alt: 'Gaming' },
-        { url: '/business-computing', img: 'https://images.unsplash.com/photo-1460925895917-afdab827c52f?w=400&h=250&fit=crop', alt: 'Business Computing' }
-      ]
-    },
-    'Accessories': {
-      columns: [
-        {
-          title: 'TV Accessories',
-          items: [
-            { label: 'TV Wall Mounts', url: '/accessories/tv-mounts' },
-            { label: 'Remote Controls', url: '/accessories/remotes' },
-            { label: 'HDMI Cables', url: '/accessories/hdmi' },
-            { label: 'All TV Accessories', url: '/accessories/tv' }
-          ]
-        },
-        {
-          title: 'Audio Accessories',
-          items: [
-            { label: 'Soundbar Mounts', url: '/accessories/soundbar-mounts' },
-            { label: 'Audio Cables', url: '/accessories/audio-cables' },
-            { label: 'All Audio Accessories', url: '/accessories/audio' }
-          ]
-        },
-        {
-          title: 'Appliance Accessories',
-          items: [
-            { label: 'Fridge Filters', url: '/accessories/fridge-filters' },
-            { label: 'Washing Machine Parts', url: '/accessories/washer-parts' },
-            { label: 'Vacuum Accessories', url: '/accessories/vacuum-parts' },
-            { label: 'All Appliance Accessories', url: '/accessories/appliances' }
-          ]
-        },
-        {
-          title: 'Smart Home',
-          items: [
-            { label: 'Smart Controllers', url: '/accessories/smart-controllers' },
-            { label: 'Voice Assistants', url: '/accessories/voice' },
-            { label: 'Smart Hubs', url: '/accessories/hubs' }
-          ]
-        },
-        {
-          title: 'Care & Maintenance',
-          items: [
-            { label: 'Cleaning Products', url: '/accessories/cleaning' },
-            { label: 'Screen Protectors', url: '/accessories/screen-protectors' },
-            { label: 'Extended Warranties', url: '/accessories/warranty' }
-          ]
-        }
-      ],
-      promos: [
-        { url: '/mount-offers', img: 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=400&h=250&fit=crop', alt: 'Wall Mounts' },
-        { url: '/cable-offers', img: 'https://images.unsplash.com/photo-1545454675-3531b543be5d?w=400&h=250&fit=crop', alt: 'Cables & Accessories' },
-        { url: '/filter-offers', img: 'https://images.unsplash.com/photo-1585771724684-38269d6639fd?w=400&h=250&fit=crop', alt: 'Filters & Parts' },
-        { url: '/warranty-offers', img: 'https://images.unsplash.com/photo-1450101499163-c8848c66ca85?w=400&h=250&fit=crop', alt: 'Warranties' }
-      ]
-    },
-    'Support': {
-      columns: [
-        {
-          title: 'Product Support',
-          items: [
-            { label: 'Product Registration', url: '/support/registration' },
-            { label: 'User Manuals', url: '/support/manuals' },
-            { label: 'Software & Drivers', url: '/support/downloads' },
-            { label: 'Warranty Information', url: '/support/warranty' }
-          ]
-        },
-        {
-          title: 'Repairs & Service',
-          items: [
-            { label: 'Request a Repair', url: '/support/repair' },
-            { label: 'Service Centres', url: '/support/centres' },
-            { label: 'Spare Parts', url: '/support/parts' },
-            { label: 'Track Repair', url: '/support/track' }
-          ]
-        },
-        {
-          title: 'Help & Contact',
-          items: [
-            { label: 'FAQs', url: '/support/faq' },
-            { label: 'Contact Us', url: '/support/contact' },
-            { label: 'Live Chat', url: '/support/chat' },
-            { label: 'Email Support', url: '/support/email' }
-          ]
-        },
-        {
-          title: 'Installation',
-          items: [
-            { label: 'Installation Services', url: '/support/installation' },
-            { label: 'Setup Guides', url: '/support/setup' },
-            { label: 'Video Tutorials', url: '/support/videos' }
-          ]
-        },
-        {
-          title: 'Account',
-          items: [
-            { label: 'My Orders', url: '/account/orders' },
-            { label: 'My Products', url: '/account/products' },
-            { label: 'Track Order', url: '/account/track' }
-          ]
-        }
-      ],
-      promos: [
-        { url: '/support/chat', img: 'https://images.unsplash.com/photo-1486312338219-ce68d2c6f44d?w=400&h=250&fit=crop', alt: 'Live Support' },
-        { url: '/support/repair', img: 'https://images.unsplash.com/photo-1581578731548-c64695cc6952?w=400&h=250&fit=crop', alt: 'Repair Services' },
-        { url: '/support/installation', img: 'https://images.unsplash.com/photo-1556911220-bff31c812dba?w=400&h=250&fit=crop', alt: 'Installation' },
-        { url: '/support/warranty', img: 'https://images.unsplash.com/photo-1450101499163-c8848c66ca85?w=400&h=250&fit=crop', alt: 'Warranty' }
-      ]
-    },
-    'LG AI': {
-      columns: [
-        {
-          title: 'AI Features',
-          items: [
-            { label: 'ThinQ AI Platform', url: '/ai/thinq' },
-            { label: 'AI ThinQ App', url: '/ai/app' },
-            { label: 'Voice Control', url: '/ai/voice' },
-            { label: 'AI Picture & Sound', url: '/ai/picture-sound' }
-          ]
-        },
-        {
-          title: 'Smart Home',
-          items: [
-            { label: 'Connected Devices', url: '/ai/connected' },
-            { label: 'Home Automation', url: '/ai/automation' },
-            { label: 'Energy Monitoring', url: '/ai/energy' }
-          ]
-        },
-        {
-          title: 'Compatibility',
-          items: [
-            { label: 'Works with Alexa', url: '/ai/alexa' },
-            { label: 'Works with Google', url: '/ai/google' },
-            { label: 'Apple HomeKit', url: '/ai/homekit' }
-          ]
-        },
-        {
-          title: 'AI Products',
-          items: [
-            { label: 'AI TVs', url: '/ai/tvs' },
-            { label: 'AI Appliances', url: '/ai/appliances' },
-            { label: 'All AI Products', url: '/ai/products' }
-          ]
-        },
-        {
-          title: 'Resources',
-          items: [
-            { label: 'AI Setup Guide', url: '/guides/ai-setup' },
-            { label: 'Smart Home Guide', url: '/guides/smart-home' },
-            { label: 'ThinQ App Guide', url: '/guides/thinq' }
-          ]
-        }
-      ],
-      promos: [
-        { url: '/ai/thinq', img: 'https://images.unsplash.com/photo-1558002038-1055907df827?w=400&h=250&fit=crop', alt: 'ThinQ AI' },
-        { url: '/ai/voice', img: 'https://images.unsplash.com/photo-1589254065909-b7086229d08c?w=400&h=250&fit=crop', alt: 'Voice Control' },
-        { url: '/ai/smart-home', img: 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=400&h=250&fit=crop', alt: 'Smart Home' },
-        { url: '/ai/automation', img: 'https://images.unsplash.com/photo-1558002038-1055907df827?w=400&h=250&fit=crop', alt: 'Automation' }
-      ]
-    }
-  };
-  
-  return menus[menuType] || menus['Shop']; // Default to Shop menu if not found
-}
-
-function createMegaMenu(navItem, menuType) {
+function createMegaMenu(navItem, menuData) {
   const megaMenu = document.createElement('div');
   megaMenu.className = 'mega-menu';
-  
-  const menuData = getMegaMenuContent(menuType);
-  
+
   // Create content container
   const contentDiv = document.createElement('div');
   contentDiv.className = 'mega-menu-content';
@@ -741,13 +333,226 @@ function createMegaMenu(navItem, menuType) {
   
   promosDiv.appendChild(promoGrid);
   
+  // Recently viewed products go here when the menu opens
+  const recentlyViewedDiv = document.createElement('div');
+  recentlyViewedDiv.className = 'mega-menu-recently-viewed';
+
   // Build mega menu
   megaMenu.appendChild(contentDiv);
   megaMenu.appendChild(promosDiv);
+  megaMenu.appendChild(recentlyViewedDiv);
   
   navItem.appendChild(megaMenu);
 }
 
+/**
+ * Moves the recently viewed products into a mega menu as it opens
+ * Every menu shares one recently-viewed block, built the first time any of
+ * them opens, rather than each loading its own.
+ * @param {Element} megaMenu The mega menu element
+ */
+function showRecentlyViewed(megaMenu) {
+  const slot = megaMenu?.querySelector('.mega-menu-recently-viewed');
+  if (!slot) return;
+  if (!recentlyViewed) {
+    // hidden until the shopper has viewed a product
+    recentlyViewed = buildBlock('recently-viewed', '');
+    recentlyViewed.classList.add('compact');
+    slot.append(recentlyViewed);
+    decorateBlock(recentlyViewed);
+    loadBlock(recentlyViewed);
+  } else if (recentlyViewed.parentElement !== slot) {
+    slot.append(recentlyViewed);
+  }
+}
+
+/**
+ * Gets the links of a mega menu, grouped by column
+ * The promo tiles and the recently viewed products each count as a column.
+ * @param {Element} megaMenu The mega menu element
+ * @returns {Array<Array<Element>>} Visible links of each column
+ */
+function getMegaMenuColumns(megaMenu) {
+  return [...megaMenu.querySelectorAll(MEGA_MENU_COLUMNS)]
+    .map((column) => [...column.querySelectorAll('a[href], button:not([disabled])')]
+      .filter((item) => !item.closest('[hidden]')))
+    .filter((items) => items.length);
+}
+
+/**
+ * Moves the roving tabindex of a mega menu to one of its links
+ * @param {Element} megaMenu The mega menu element
+ * @param {Element} [item] The link to make tabbable, defaults to the first one
+ * @param {Boolean} [focus] Whether to focus the link too
+ */
+function setMegaMenuItem(megaMenu, item, focus = false) {
+  const items = getMegaMenuColumns(megaMenu).flat();
+  const current = item || items[0];
+  items.forEach((el) => el.setAttribute('tabindex', el === current ? '0' : '-1'));
+  if (current && focus) current.focus();
+}
+
+/**
+ * Opens or closes a mega menu; opening it closes any other open nav section
+ * @param {Element} navItem The navigation item element
+ * @param {Boolean} expanded Whether the mega menu should be open
+ */
+function toggleMegaMenu(navItem, expanded) {
+  const sections = navItem.closest('.nav-sections');
+  if (expanded) {
+    toggleAllNavSections(sections);
+    const megaMenu = navItem.querySelector(':scope > .mega-menu');
+    showRecentlyViewed(megaMenu);
+    setMegaMenuItem(megaMenu);
+  }
+  navItem.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+  syncMegaMenus(sections);
+}
+
+/**
+ * Moves focus to the trigger of the previous or next top-level nav item
+ * @param {Element} navItem The navigation item element
+ * @param {Number} step -1 for the previous item, 1 for the next
+ */
+function focusSiblingNavItem(navItem, step) {
+  const items = [...navItem.parentElement.children];
+  const sibling = items[(items.indexOf(navItem) + step + items.length) % items.length];
+  const target = sibling.querySelector(':scope > .mega-menu-trigger, :scope > a') || sibling;
+  target.focus();
+}
+
+/**
+ * Handles the keyboard on a mega menu trigger
+ * Enter and Space toggle the menu (Enter follows the link once it is open),
+ * the up and down arrows open it and move into its links, and the left and
+ * right arrows move between top-level items.
+ * @param {KeyboardEvent} e The keydown event
+ * @param {Element} navItem The navigation item element
+ * @param {Element} megaMenu The mega menu element
+ */
+function onMegaMenuTriggerKeydown(e, navItem, megaMenu) {
+  const expanded = navItem.getAttribute('aria-expanded') === 'true';
+  if ((e.code === 'Enter' && !expanded) || e.code === 'Space') {
+    e.preventDefault();
+    toggleMegaMenu(navItem, !expanded);
+  } else if (e.code === 'ArrowDown' || e.code === 'ArrowUp') {
+    e.preventDefault();
+    toggleMegaMenu(navItem, true);
+    const items = getMegaMenuColumns(megaMenu).flat();
+    setMegaMenuItem(megaMenu, e.code === 'ArrowDown' ? items[0] : items[items.length - 1], true);
+  } else if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+    e.preventDefault();
+    if (expanded) toggleMegaMenu(navItem, false);
+    focusSiblingNavItem(navItem, e.code === 'ArrowLeft' ? -1 : 1);
+  } else if (e.code === 'Escape' && expanded) {
+    // keep the header from moving focus to the nav item itself
+    e.stopPropagation();
+    toggleMegaMenu(navItem, false);
+  }
+}
+
+/**
+ * Handles the keyboard inside an open mega menu
+ * The up and down arrows move within a column, left and right move across
+ * columns, Home and End jump to the ends of a column and Escape closes the
+ * menu, returning focus to its trigger.
+ * @param {KeyboardEvent} e The keydown event
+ * @param {Element} navItem The navigation item element
+ * @param {Element} megaMenu The mega menu element
+ */
+function onMegaMenuKeydown(e, navItem, megaMenu) {
+  const trigger = navItem.querySelector(':scope > .mega-menu-trigger');
+  if (e.code === 'Escape') {
+    e.stopPropagation();
+    toggleMegaMenu(navItem, false);
+    trigger.focus();
+    return;
+  }
+
+  const columns = getMegaMenuColumns(megaMenu);
+  const col = columns.findIndex((items) => items.includes(e.target));
+  if (col < 0) return;
+  const items = columns[col];
+  const row = items.indexOf(e.target);
+  let next;
+  if (e.code === 'ArrowDown') {
+    next = items[Math.min(row + 1, items.length - 1)];
+  } else if (e.code === 'ArrowUp') {
+    // the first link of a column leads back up to the trigger
+    next = row > 0 ? items[row - 1] : trigger;
+  } else if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+    const step = e.code === 'ArrowLeft' ? -1 : 1;
+    const column = columns[(col + step + columns.length) % columns.length];
+    next = column[Math.min(row, column.length - 1)];
+  } else if (e.code === 'Home') {
+    [next] = items;
+  } else if (e.code === 'End') {
+    next = items[items.length - 1];
+  }
+  if (!next) return;
+  e.preventDefault();
+  if (next === trigger) trigger.focus();
+  else setMegaMenuItem(megaMenu, next, true);
+}
+
+/**
+ * Makes a mega menu a disclosure that opens on hover and from the keyboard
+ * The trigger carries aria-expanded and aria-controls, the links inside use a
+ * roving tabindex so Tab moves on to the next top-level item, and the menu
+ * closes once both the pointer and focus have left it.
+ * @param {Element} navItem The navigation item element
+ * @param {Number} index Position of the item in the nav, for the menu id
+ */
+function decorateMegaMenuDisclosure(navItem, index) {
+  const megaMenu = navItem.querySelector(':scope > .mega-menu');
+  megaMenu.id = `mega-menu-${index}`;
+
+  let trigger = navItem.querySelector(':scope > a');
+  if (!trigger) {
+    // items without a link get a button so they can still take focus
+    trigger = document.createElement('button');
+    trigger.type = 'button';
+    [...navItem.childNodes]
+      .filter((node) => node !== megaMenu)
+      .forEach((node) => trigger.append(node));
+    navItem.prepend(trigger);
+    trigger.addEventListener('click', () => {
+      toggleMegaMenu(navItem, navItem.getAttribute('aria-expanded') !== 'true');
+    });
+  }
+  trigger.classList.add('mega-menu-trigger');
+  trigger.setAttribute('aria-controls', megaMenu.id);
+  trigger.setAttribute('aria-expanded', 'false');
+
+  navItem.addEventListener('keydown', (e) => {
+    if (!isDesktop.matches) return;
+    if (e.target === trigger) onMegaMenuTriggerKeydown(e, navItem, megaMenu);
+    else if (megaMenu.contains(e.target)) onMegaMenuKeydown(e, navItem, megaMenu);
+  });
+
+  // close when focus moves on, unless the pointer is still over the menu
+  navItem.addEventListener('focusout', (e) => {
+    if (navItem.contains(e.relatedTarget) || navItem.matches(':hover')) return;
+    if (navItem.getAttribute('aria-expanded') === 'true') toggleMegaMenu(navItem, false);
+  });
+
+  // hover intent: a short delay lets the pointer cross the gap to the menu
+  let hoverTimeout;
+  navItem.addEventListener('mouseenter', () => {
+    if (!isDesktop.matches) return;
+    clearTimeout(hoverTimeout);
+    if (navItem.getAttribute('aria-expanded') !== 'true') toggleMegaMenu(navItem, true);
+  });
+  navItem.addEventListener('mouseleave', () => {
+    if (!isDesktop.matches) return;
+    hoverTimeout = setTimeout(() => {
+      // leave the menu open while a keyboard user is inside it
+      if (megaMenu.contains(document.activeElement)) return;
+      toggleMegaMenu(navItem, false);
+    }, MEGA_MENU_CLOSE_DELAY);
+  });
+}
+
 /**
  * Decorates the tools section with search and icons
  * @param {Element} navTools The tools section element
@@ -763,7 +568,7 @@ function decorateTools(navTools) {
   const searchContainer = document.createElement('div');
   searchContainer.className = 'nav-search';
   searchContainer.innerHTML = `
-    <form class="nav-search-form" action="/search" method="get">
+    <form class="nav-search-form" action="${getLocalePath('/search')}" method="get">
       <span class="icon icon-search">
         <img data-icon-name="search" src="/icons/search.svg" alt="Search" loading="lazy">
       </span>
@@ -771,10 +576,11 @@ function decorateTools(navTools) {
     </form>
   `;
   toolsContainer.appendChild(searchContainer);
+  decorateSearchTypeahead(searchContainer.querySelector('.nav-search-form'));
 
   // Create user icon
   const userLink = document.createElement('a');
-  userLink.href = '/account';
+  userLink.href = getLocalePath('/account');
   userLink.className = 'nav-icon nav-icon-user';
   userLink.setAttribute('aria-label', 'Account');
   userLink.innerHTML = `
@@ -783,10 +589,11 @@ function decorateTools(navTools) {
     </span>
   `;
   toolsContainer.appendChild(userLink);
+  decorateAccountMenu(userLink);
 
   // Create cart icon
   const cartLink = document.createElement('a');
-  cartLink.href = '/cart';
+  cartLink.href = getLocalePath('/cart');
   cartLink.className = 'nav-icon nav-icon-cart';
   cartLink.setAttribute('aria-label', 'Cart');
   cartLink.innerHTML = `
@@ -830,6 +637,7 @@ export default async function decorate(block) {
 
   // Create top bar with logo and business link
   const topBar = createTopBar(navBrand, navTools);
+  topBar.querySelector('.nav-business-container').prepend(createCountrySelector('nav-country-selector'));
 
   // For mobile: add brand logo to nav main row (keep it in top bar for desktop)
   let mobileBrand = null;
@@ -838,7 +646,7 @@ export default async function decorate(block) {
     mobileBrand = document.createElement('div');
     mobileBrand.className = 'nav-brand-mobile';
     const homeLink = document.createElement('a');
-    homeLink.href = '/';
+    homeLink.href = getLocalePath('/');
     homeLink.className = 'nav-brand-link';
     homeLink.setAttribute('aria-label', 'LG Home');
     homeLink.innerHTML = `
@@ -852,83 +660,21 @@ export default async function decorate(block) {
   }
 
   const navSections = nav.querySelector('.nav-sections');
+  let mobileDrawer;
   if (navSections) {
-    navSections.querySelectorAll(':scope .default-content-wrapper > ul > li').forEach((navSection) => {
+    const navItems = [...navSections.querySelectorAll(':scope .default-content-wrapper > ul > li')];
+
+    // drill-down drawer for mobile, built before the items are decorated for desktop;
+    // it works from the nav's own links until the mega menus have loaded
+    mobileDrawer = createMobileDrawer(navItems, new Map(), () => {
+      toggleMenu(nav, navSections, false);
+      nav.querySelector('.nav-hamburger button').focus();
+    });
+    navSections.append(mobileDrawer.drawer);
+
+    navItems.forEach((navSection) => {
       if (navSection.querySelector('ul')) navSection.classList.add('nav-drop');
-      
-      // Add mega menu for all main menu items
-      const linkText = navSection.querySelector('a')?.textContent.trim() || navSection.textContent.trim();
-      console.log('Nav section link text:', linkText);
-      
-      // List of menu items that should have mega menus
-      const megaMenuItems = ['Shop', 'TV/Audio/Video', 'Appliances', 'Heating & Cooling', 'Computing', 'Accessories', 'Support', 'LG AI'];
-      
-      if (megaMenuItems.includes(linkText)) {
-        console.log(`${linkText} menu found, adding mega menu`);
-        navSection.classList.add('has-mega-menu');
-        createMegaMenu(navSection, linkText);
-        
-        if (isDesktop.matches) {
-          // Add hover event listeners for desktop
-          let hoverTimeout;
-          const megaMenu = navSection.querySelector('.mega-menu');
-          const productStickyHeader = document.querySelector('.product-sticky-header');
-          console.log('Mega menu element:', megaMenu);
-          
-          // Show mega menu on nav item hover
-          navSection.addEventListener('mouseenter', () => {
-            console.log(`Mouse entered ${linkText} menu`);
-            clearTimeout(hoverTimeout);
-            if (megaMenu) {
-              megaMenu.style.display = 'block';
-              console.log('Mega menu displayed');
-              
-              // Lower z-index of product-sticky-header
-              if (productStickyHeader) {
-                productStickyHeader.style.zIndex = '1';
-                console.log('Product sticky header z-index set to 1');
-              }
-            }
-          });
-          
-          // Hide mega menu when leaving nav item
-          navSection.addEventListener('mouseleave', () => {
-            console.log(`Mouse left ${linkText} menu`);
-            hoverTimeout = setTimeout(() => {
-              if (megaMenu) {
-                megaMenu.style.display = 'none';
-                console.log('Mega menu hidden');
-                
-                // Restore z-index of product-sticky-header
-                if (productStickyHeader) {
-                  productStickyHeader.style.zIndex = '48';
-                  console.log('Product sticky header z-index restored to 48');
-                }
-              }
-            }, 100);
-          });
-          
-          // Keep mega menu open when hovering over it
-          if (megaMenu) {
-            megaMenu.addEventListener('mouseenter', () => {
-              console.log('Mouse entered mega menu');
-              clearTimeout(hoverTimeout);
-            });
-            
-            megaMenu.addEventListener('mouseleave', () => {
-              console.log('Mouse left mega menu');
-              megaMenu.style.display = 'none';
-              
-              // Restore z-index of product-sticky-header
-              if (productStickyHeader) {
-                productStickyHeader.style.zIndex = '48';
-                console.log('Product sticky header z-index restored to 48');
-              }
-            });
-          }
-        }
-      }
-      
+
       navSection.addEventListener('click', () => {
         if (isDesktop.matches && !navSection.classList.contains('has-mega-menu')) {
           const expanded = navSection.getAttribute('aria-expanded') === 'true';
@@ -937,6 +683,27 @@ export default async function decorate(block) {
         }
       });
     });
+
+    getMegaMenus(navItems).then((megaMenus) => {
+      if (!megaMenus.size) return;
+      mobileDrawer.setMegaMenus(megaMenus);
+
+      navItems.forEach((navSection, index) => {
+        // Add mega menu for all main menu items
+        const linkText = navSection.querySelector('a')?.textContent.trim() || navSection.textContent.trim();
+        console.log('Nav section link text:', linkText);
+        
+        // Items with authored mega menu content get a mega menu
+        const menuData = megaMenus.get(navSection);
+        if (menuData) {
+          console.log(`${linkText} menu found, adding mega menu`);
+          navSection.classList.add('has-mega-menu');
+          createMegaMenu(navSection, menuData);
+          
+          decorateMegaMenuDisclosure(navSection, index);
+        }
+      });
+    });
   }
 
   // Decorate tools section (search + icons)
@@ -948,7 +715,15 @@ export default async function decorate(block) {
   hamburger.innerHTML = `<button type="button" aria-controls="nav" aria-label="Open navigation">
       <span class="nav-hamburger-icon"></span>
     </button>`;
-  hamburger.addEventListener('click', () => toggleMenu(nav, navSections));
+  hamburger.addEventListener('click', () => {
+    toggleMenu(nav, navSections);
+    // open the drawer at its top level
+    if (mobileDrawer && nav.getAttribute('aria-expanded') === 'true') mobileDrawer.reset(true);
+  });
+  // keep focus inside the open drawer
+  nav.addEventListener('keydown', (e) => {
+    if (!isDesktop.matches && nav.getAttribute('aria-expanded') === 'true') trapFocus(nav, e);
+  });
   
   // Add hamburger to tools container (on the right side, after cart icon)
   if (navTools && navTools.querySelector('.nav-tools-container')) {
@@ -973,17 +748,18 @@ export default async function decorate(block) {
   mainNavRow.className = 'nav-main-row';
   mainNavRow.append(nav);
 
-  // Create breadcrumb navigation (only on product pages)
+  // Create breadcrumb navigation: products follow their catalog category,
+  // other pages their place in the URL hierarchy
   const sku = getSkuFromUrl();
-  let breadcrumbHtml = '';
-  
-  if (sku) {
+  let breadcrumb = null;
+
+  if (!isBreadcrumbHidden()) {
     try {
-      const breadcrumbData = await getBreadcrumbData(sku);
-      breadcrumbHtml = createBreadcrumb(breadcrumbData || sku);
+      const items = sku ? await getBreadcrumb(sku) : await getPageBreadcrumb();
+      if (items?.length || sku) breadcrumb = createBreadcrumb(items?.length ? items : sku);
     } catch (error) {
       console.error('Error loading breadcrumb:', error);
-      breadcrumbHtml = createBreadcrumb(sku);
+      if (sku) breadcrumb = createBreadcrumb(sku);
     }
   }
 
@@ -993,12 +769,38 @@ export default async function decorate(block) {
   navWrapper.append(mainNavRow);
   
   // Add breadcrumb to header (below main nav row)
-  if (breadcrumbHtml) {
+  const stickyLayers = [[navWrapper, LAYER_ORDER.header]];
+  if (breadcrumb) {
     const breadcrumbContainer = document.createElement('div');
     breadcrumbContainer.className = 'header-breadcrumb-container';
-    breadcrumbContainer.innerHTML = breadcrumbHtml;
+    breadcrumbContainer.append(breadcrumb);
     navWrapper.append(breadcrumbContainer);
+
+    // Keep the trail in sync with size/colour variant switches
+    onProductChange(async (product) => {
+      const items = await getProductBreadcrumb(product).catch(() => null);
+      breadcrumbContainer.replaceChildren(createBreadcrumb(items || product.sku));
+    });
+    stickyLayers.push([breadcrumbContainer, LAYER_ORDER.breadcrumb]);
   }
   
   block.append(navWrapper);
+
+  // the header can slide away while scrolling down (`header-mode: hide-on-scroll`);
+  // the config sheet is only read when the page has no header-mode metadata
+  const stack = (headerMode) => stickyLayers.forEach(([element, order]) => {
+    removeStickyLayer(element);
+    addStickyLayer(element, { order, hideOnScroll: headerMode === 'hide-on-scroll' });
+  });
+  const headerMode = getMetadata('header-mode');
+  stack(headerMode);
+  if (!headerMode) {
+    getConfigValue('header-mode').then((mode) => {
+      if (mode) stack(mode);
+    });
+  }
+
+  // Cart icon count and mini-cart drawer
+  const cartLink = block.querySelector('.nav-icon-cart');
+  if (cartLink) decorateMiniCart(cartLink, block);
 }
@@ -0,0 +1,236 @@
+/**
+ * Mega menu content
+ * Reads the columns, badges and promo tiles of each top-level nav item from
+ * the nav fragment, or from the `/data/nav-mega.json` sheet for items the
+ * fragment leaves plain.
+ *
+ * In the nav fragment, a top-level item gets a mega menu when its label is
+ * followed by the `:mega-menu:` marker; other nested lists stay plain dropdowns.
+ * Each second-level item is a column titled by its text; text after a link
+ * becomes its badge. Links with an image become promo tiles, and dates after
+ * the image limit when a tile is shown:
+ * - Shop :mega-menu:
+ *   - Offers
+ *     - [All Promotions](/promotions)
+ *     - [TV Lineup Guide](/tv-lineup) NEW
+ *   - Promos
+ *     - [![Up to 15% off TVs](tv.jpg)](/tv-offers) 2026-11-01 2026-11-30
+ *
+ * The sheet is read from the `nav-mega` page metadata, then from the
+ * `nav-mega` key of the /config.json sheet, then from /data/nav-mega.json:
+ * { menu: 'Shop', type: 'link', column: 'Offers', label: 'All Promotions',
+ *   url: '/promotions', badge: '', image: '', locale: '', start: '', end: '' }
+ * Promo rows (type 'promo') use label as the image alt text. Rows with a locale
+ * only apply to that locale (or language), and replace the rows without one for
+ * their menu. start and end schedule a row; the end date is inclusive.
+ */
+
+import { getMetadata } from '../../scripts/aem.js';
+import { fetchJson, getConfigValue } from '../../scripts/data.js';
+import { getLocale } from '../../scripts/pricing.js';
+
+const DEFAULT_SHEET_URL = '/data/nav-mega.json';
+const DAY = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?/g;
+
+/**
+ * @typedef {Object} MegaMenu
+ * @property {Array<Object>} columns - Columns ({ title, items: [{ label, url, badge }] })
+ * @property {Array<Object>} promos - Promo tiles ({ url, img, alt })
+ */
+
+/**
+ * Parses a schedule date from a sheet cell or authored text
+ * Spreadsheet date cells arrive as serial day numbers.
+ * @param {string|number} value - Date value
+ * @param {boolean} [inclusive] - Whether a date without a time covers the whole day
+ * @returns {number|null} Timestamp, or null when empty or invalid
+ */
+function parseDate(value, inclusive = false) {
+  if (value === undefined || value === null || value === '') return null;
+  const serial = Number(value);
+  const time = Number.isNaN(serial)
+    ? Date.parse(value)
+    : Math.round((serial - 25569) * DAY);
+  if (Number.isNaN(time)) return null;
+  const dateOnly = Number.isInteger(serial) || /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim());
+  return inclusive && dateOnly ? time + DAY : time;
+}
+
+/**
+ * Checks whether a scheduled entry is live
+ * @param {Object} entry - Entry ({ start, end })
+ * @param {number} [now] - Current time
+ * @returns {boolean} True when now falls between the start and end dates
+ */
+function isScheduled({ start, end }, now = Date.now()) {
+  const from = parseDate(start);
+  const until = parseDate(end, true);
+  return (from === null || now >= from) && (until === null || now < until);
+}
+
+/**
+ * Gets the label of a top-level nav item
+ * @param {Element} navItem - Top-level nav item
+ * @returns {string} Label
+ */
+export function getNavItemLabel(navItem) {
+  const link = navItem.querySelector(':scope > a');
+  if (link) return link.textContent.trim();
+  return [...navItem.childNodes]
+    .filter((node) => !['UL', 'OL'].includes(node.nodeName))
+    .map((node) => node.textContent)
+    .join('')
+    .trim();
+}
+
+/**
+ * Reads the text of a list item that is not part of its link or nested list
+ * @param {Element} li - List item
+ * @returns {string} Text
+ */
+function getOwnText(li) {
+  return [...li.childNodes]
+    .filter((node) => !['A', 'UL', 'OL', 'PICTURE', 'IMG'].includes(node.nodeName))
+    .map((node) => node.textContent)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Reads a mega menu authored as nested lists in the nav fragment
+ * The marker and the authored list are removed so the list doesn't show as a
+ * plain dropdown too.
+ * @param {Element} navItem - Top-level nav item
+ * @param {number} now - Current time
+ * @returns {MegaMenu|null} Mega menu, or null when the item isn't marked or has no columns
+ */
+function readAuthoredMegaMenu(navItem, now) {
+  const marker = navItem.querySelector(':scope > .icon-mega-menu, :scope > a > .icon-mega-menu');
+  if (!marker) return null;
+  marker.remove();
+  const list = navItem.querySelector(':scope > ul');
+  const groups = list ? [...list.children].filter((li) => li.querySelector(':scope > ul')) : [];
+  if (!groups.length) return null;
+
+  const menu = { columns: [], promos: [] };
+  groups.forEach((group) => {
+    const items = [...group.querySelectorAll(':scope > ul > li')];
+    const links = [];
+    items.forEach((li) => {
+      const link = li.querySelector('a');
+      if (!link) return;
+      const img = li.querySelector('img');
+      const text = getOwnText(li);
+      if (img) {
+        const [start, end] = text.match(DATE_PATTERN) || [];
+        if (isScheduled({ start, end }, now)) {
+          menu.promos.push({ url: link.getAttribute('href'), img: img.src, alt: img.alt });
+        }
+      } else {
+        links.push({ label: link.textContent.trim(), url: link.getAttribute('href'), badge: text });
+      }
+    });
+    if (links.length) menu.columns.push({ title: getOwnText(group), items: links });
+  });
+  list.remove();
+  return menu;
+}
+
+/**
+ * Loads the mega menu sheet
+ * @returns {Promise<Array<Object>>} Sheet rows, empty when there is no sheet
+ */
+async function getSheetRows() {
+  const url = getMetadata('nav-mega') || await getConfigValue('nav-mega') || DEFAULT_SHEET_URL;
+  try {
+    const data = await fetchJson(url);
+    // accept a bare array or a spreadsheet-style { data: [...] } response
+    return Array.isArray(data) ? data : (data?.data || []);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('Mega menu sheet is unavailable:', error);
+    return [];
+  }
+}
+
+/**
+ * Normalizes a menu label for lookups
+ * @param {string} label - Menu label
+ * @returns {string} Key
+ */
+function getMenuKey(label) {
+  return String(label || '').trim().toLowerCase();
+}
+
+/**
+ * Picks the rows for the current locale
+ * A menu with rows for the locale uses only those; other menus use the rows
+ * without a locale.
+ * @param {Array<Object>} rows - Sheet rows
+ * @param {string} locale - Current locale, e.g. 'en-GB'
+ * @returns {Array<Object>} Rows
+ */
+function getLocaleRows(rows, locale) {
+  const current = locale.toLowerCase();
+  const matches = (row) => {
+    const rowLocale = String(row.locale || '').trim().toLowerCase();
+    return rowLocale && (rowLocale === current || rowLocale === current.split('-')[0]);
+  };
+  const localized = new Set(rows.filter(matches).map((row) => getMenuKey(row.menu)));
+  return rows.filter((row) => (localized.has(getMenuKey(row.menu)) ? matches(row) : !row.locale));
+}
+
+/**
+ * Builds the mega menus from sheet rows
+ * @param {Array<Object>} rows - Sheet rows
+ * @param {number} now - Current time
+ * @returns {Map<string, MegaMenu>} Mega menus by top-level label
+ */
+function buildSheetMenus(rows, now) {
+  const menus = new Map();
+  getLocaleRows(rows, getLocale())
+    .filter((row) => row.menu && row.url && isScheduled(row, now))
+    .forEach((row) => {
+      const key = getMenuKey(row.menu);
+      if (!menus.has(key)) menus.set(key, { columns: [], promos: [] });
+      const menu = menus.get(key);
+      if (row.type === 'promo') {
+        if (row.image) menu.promos.push({ url: row.url, img: row.image, alt: row.label || '' });
+        return;
+      }
+      let column = menu.columns.find((col) => col.title === row.column);
+      if (!column) {
+        column = { title: row.column || '', items: [] };
+        menu.columns.push(column);
+      }
+      column.items.push({ label: row.label, url: row.url, badge: row.badge || '' });
+    });
+  return menus;
+}
+
+/**
+ * Gets the mega menu of each top-level nav item that has one
+ * Items marked as mega menus in the nav fragment use their columns; the rest
+ * are looked up in the sheet by their label.
+ * @param {Array<Element>} navItems - Top-level nav items
+ * @returns {Promise<Map<Element, MegaMenu>>} Mega menus by nav item
+ */
+export default async function getMegaMenus(navItems) {
+  const now = Date.now();
+  const megaMenus = new Map();
+  navItems.forEach((navItem) => {
+    const menu = readAuthoredMegaMenu(navItem, now);
+    if (menu) megaMenus.set(navItem, menu);
+  });
+
+  const remaining = navItems.filter((navItem) => !megaMenus.has(navItem));
+  if (!remaining.length) return megaMenus;
+  const sheetMenus = buildSheetMenus(await getSheetRows(), now);
+  remaining.forEach((navItem) => {
+    const menu = sheetMenus.get(getMenuKey(getNavItemLabel(navItem)));
+    if (menu && (menu.columns.length || menu.promos.length)) megaMenus.set(navItem, menu);
+  });
+  return megaMenus;
+}
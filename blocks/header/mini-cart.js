@@ -0,0 +1,181 @@
+import { onAuthChange } from '../../scripts/auth.js';
+import {
+  getCart,
+  getCartCount,
+  getCartTotals,
+  getLineMonthlyPayment,
+  getLinePrice,
+  onCartChange,
+  removeFromCart,
+} from '../../scripts/cart.js';
+import { escapeHtml, trapFocus } from '../../scripts/dom.js';
+import { describePlan } from '../../scripts/finance.js';
+import { getLocalePath, getPlaceholderText, getPlaceholders } from '../../scripts/locale.js';
+import { formatPrice } from '../../scripts/pricing.js';
+
+// translated UI strings, empty (so English) until the placeholders sheet loads
+let placeholders = {};
+
+/**
+ * Updates the item count badge on the header cart icon
+ * @param {Element} cartLink The header cart link
+ */
+function updateCartCount(cartLink) {
+  const count = getCartCount();
+  let badge = cartLink.querySelector('.nav-cart-count');
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'nav-cart-count';
+    badge.setAttribute('aria-hidden', 'true');
+    cartLink.appendChild(badge);
+  }
+  badge.textContent = count > 99 ? '99+' : count;
+  badge.hidden = count === 0;
+  let label = getPlaceholderText(placeholders, 'cart', 'Cart');
+  if (count === 1) label = getPlaceholderText(placeholders, 'cartOneItem', 'Cart, 1 item');
+  else if (count) label = getPlaceholderText(placeholders, 'cartItems', 'Cart, {count} items', { count });
+  cartLink.setAttribute('aria-label', label);
+}
+
+/**
+ * Creates the HTML for the mini-cart line items
+ * @param {Array} lines - Cart lines
+ * @returns {string} Line items HTML
+ */
+function createLinesHTML(lines) {
+  if (!lines.length) {
+    return `<p class="mini-cart-empty">${getPlaceholderText(placeholders, 'cartEmpty', 'Your cart is empty.')}</p>`;
+  }
+
+  return `
+    <ul class="mini-cart-lines">
+      ${lines.map((line) => `
+        <li class="mini-cart-line" data-id="${escapeHtml(line.id)}">
+          <a class="mini-cart-line-image" href="${escapeHtml(line.url)}">
+            <img class="mini-cart-line-img" src="${escapeHtml(line.image || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+          </a>
+          <div class="mini-cart-line-info">
+            <a class="mini-cart-line-name" href="${escapeHtml(line.url)}">${escapeHtml(line.name)}</a>
+            <span class="mini-cart-line-meta">${line.size ? `${escapeHtml(line.size)} | ` : ''}${getPlaceholderText(placeholders, 'quantityShort', 'Qty {quantity}', { quantity: line.quantity })}${line.plan ? ` | ${describePlan(line.plan)}` : ''}</span>
+            <span class="mini-cart-line-price">${line.plan?.type === 'subscription'
+    ? getPlaceholderText(placeholders, 'perMonth', '{price}/month', { price: formatPrice(getLineMonthlyPayment(line), { currency: line.currency }) })
+    : formatPrice(getLinePrice(line) * line.quantity, { currency: line.currency })}</span>
+          </div>
+          <button type="button" class="mini-cart-line-remove" aria-label="${getPlaceholderText(placeholders, 'removeItem', 'Remove {name}', { name: escapeHtml(line.name) })}">×</button>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Renders the mini-cart drawer contents
+ * @param {Element} drawer The drawer element
+ */
+function renderDrawer(drawer) {
+  const { lines } = getCart();
+  const totals = getCartTotals();
+  drawer.querySelector('.mini-cart-body').innerHTML = createLinesHTML(lines);
+  drawer.querySelector('.mini-cart-subtotal-value').textContent = formatPrice(totals.subtotal, { currency: totals.currency });
+  drawer.querySelector('.mini-cart-footer').hidden = !lines.length;
+}
+
+/**
+ * Sets the fixed text of the drawer in the language of the country site
+ * @param {Element} drawer The drawer element
+ */
+function labelDrawer(drawer) {
+  drawer.querySelector('.mini-cart-panel').setAttribute('aria-label', getPlaceholderText(placeholders, 'yourCart', 'Your cart'));
+  drawer.querySelector('.mini-cart-header h2').textContent = getPlaceholderText(placeholders, 'addedToCart', 'Added to your cart');
+  drawer.querySelector('.mini-cart-close').setAttribute('aria-label', getPlaceholderText(placeholders, 'closeCart', 'Close cart'));
+  drawer.querySelector('.mini-cart-subtotal-label').textContent = getPlaceholderText(placeholders, 'subtotal', 'Subtotal');
+  drawer.querySelector('.mini-cart-view').textContent = getPlaceholderText(placeholders, 'viewCart', 'View cart');
+}
+
+/**
+ * Opens or closes the mini-cart drawer
+ * @param {Element} drawer The drawer element
+ * @param {boolean} open Whether the drawer should be open
+ */
+function toggleDrawer(drawer, open) {
+  drawer.setAttribute('aria-hidden', open ? 'false' : 'true');
+  drawer.classList.toggle('is-open', open);
+  if (open) {
+    renderDrawer(drawer);
+    drawer.querySelector('.mini-cart-close').focus();
+  }
+}
+
+/**
+ * Creates the mini-cart drawer element
+ * @returns {Element} Drawer element
+ */
+function createDrawer() {
+  const drawer = document.createElement('div');
+  drawer.className = 'mini-cart';
+  drawer.setAttribute('aria-hidden', 'true');
+  drawer.innerHTML = `
+    <div class="mini-cart-overlay"></div>
+    <aside class="mini-cart-panel" role="dialog">
+      <div class="mini-cart-header">
+        <h2></h2>
+        <button type="button" class="mini-cart-close">×</button>
+      </div>
+      <div class="mini-cart-body"></div>
+      <div class="mini-cart-footer">
+        <div class="mini-cart-subtotal">
+          <span class="mini-cart-subtotal-label"></span>
+          <span class="mini-cart-subtotal-value"></span>
+        </div>
+        <a href="${getLocalePath('/cart')}" class="button mini-cart-view"></a>
+      </div>
+    </aside>
+  `;
+  labelDrawer(drawer);
+
+  drawer.querySelector('.mini-cart-overlay').addEventListener('click', () => toggleDrawer(drawer, false));
+  drawer.querySelector('.mini-cart-close').addEventListener('click', () => toggleDrawer(drawer, false));
+  drawer.addEventListener('keydown', (e) => {
+    if (e.code === 'Escape') toggleDrawer(drawer, false);
+    else trapFocus(drawer.querySelector('.mini-cart-panel'), e);
+  });
+  drawer.querySelector('.mini-cart-body').addEventListener('click', (e) => {
+    const remove = e.target.closest('.mini-cart-line-remove');
+    if (remove) removeFromCart(remove.closest('.mini-cart-line').dataset.id);
+  });
+
+  return drawer;
+}
+
+/**
+ * Wires the header cart icon to the cart: live item count and a drawer
+ * that opens whenever a product is added in this tab
+ * @param {Element} cartLink The header cart link
+ * @param {Element} container The element the drawer is appended to
+ */
+export default function decorateMiniCart(cartLink, container) {
+  const drawer = createDrawer();
+  container.append(drawer);
+  updateCartCount(cartLink);
+
+  getPlaceholders().then((loaded) => {
+    placeholders = loaded;
+    labelDrawer(drawer);
+    updateCartCount(cartLink);
+    if (drawer.classList.contains('is-open')) renderDrawer(drawer);
+  });
+
+  onCartChange(({ action, source }) => {
+    updateCartCount(cartLink);
+    if (action === 'add' && source === 'local') {
+      toggleDrawer(drawer, true);
+    } else if (drawer.classList.contains('is-open')) {
+      renderDrawer(drawer);
+    }
+  });
+
+  // member prices apply as soon as the shopper signs in
+  onAuthChange(() => {
+    if (drawer.classList.contains('is-open')) renderDrawer(drawer);
+  });
+}
@@ -0,0 +1,232 @@
+/**
+ * Mobile navigation drawer
+ * Below 900px the nav sections open as a drawer that drills down from the
+ * top-level items to their mega menu columns and then to the links, with a
+ * back control on each level and promo tiles underneath. Swiping right closes
+ * the drawer.
+ */
+
+import { addSwipeListener } from '../../scripts/dom.js';
+import { getNavItemLabel } from './mega-menu.js';
+
+const MAX_ROOT_PROMOS = 4;
+
+/**
+ * @typedef {Object} DrawerLevel
+ * @property {string} label - Label
+ * @property {string} [url] - Link to the page the level stands for
+ * @property {string} [badge] - Badge shown next to a link
+ * @property {Array<DrawerLevel>} children - Levels to drill into, or links
+ * @property {Array<Object>} promos - Promo tiles ({ url, img, alt })
+ */
+
+/**
+ * Builds the drawer level of a top-level nav item
+ * Mega menu columns become levels of their own; an untitled column has
+ * nothing to drill into, so its links sit on the item's level instead.
+ * @param {Element} navItem - Top-level nav item
+ * @param {Object} [menu] - Mega menu content ({ columns, promos })
+ * @returns {DrawerLevel} Level
+ */
+function getNavItemLevel(navItem, menu) {
+  const promos = menu?.promos || [];
+  const level = {
+    label: getNavItemLabel(navItem),
+    url: navItem.querySelector(':scope > a')?.getAttribute('href'),
+    children: [],
+    promos,
+  };
+
+  if (menu) {
+    menu.columns.forEach((column) => {
+      const links = column.items.map(({ label, url, badge }) => ({
+        label, url, badge, children: [], promos: [],
+      }));
+      if (column.title) {
+        level.children.push({ label: column.title, children: links, promos });
+      } else {
+        level.children.push(...links);
+      }
+    });
+  } else {
+    navItem.querySelectorAll(':scope > ul > li > a').forEach((a) => {
+      level.children.push({
+        label: a.textContent.trim(), url: a.getAttribute('href'), children: [], promos: [],
+      });
+    });
+  }
+  return level;
+}
+
+/**
+ * Creates the link or drill-down button for one entry of a level
+ * @param {DrawerLevel} entry - Entry
+ * @param {number} index - Position of the entry in its level
+ * @returns {Element} List item
+ */
+function createEntry(entry, index) {
+  const li = document.createElement('li');
+  if (entry.children.length) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'nav-drawer-next';
+    button.dataset.index = index;
+    button.textContent = entry.label;
+    li.append(button);
+  } else {
+    // an item with neither a page nor links of its own is just a label
+    const link = document.createElement(entry.url ? 'a' : 'span');
+    if (entry.url) link.href = entry.url;
+    link.className = entry.url ? 'nav-drawer-link' : 'nav-drawer-link nav-drawer-label';
+    link.textContent = entry.label;
+    if (entry.badge) {
+      const badge = document.createElement('span');
+      badge.className = 'badge-new';
+      badge.textContent = entry.badge;
+      link.append(badge);
+    }
+    li.append(link);
+  }
+  return li;
+}
+
+/**
+ * Creates the panel for one level of the drawer
+ * @param {DrawerLevel} level - Level to show
+ * @param {DrawerLevel} [parent] - Level above it, none for the top level
+ * @returns {Element} Panel element
+ */
+function createPanel(level, parent) {
+  const panel = document.createElement('div');
+  panel.className = 'nav-drawer-panel';
+  panel.setAttribute('role', 'group');
+  panel.setAttribute('aria-label', level.label);
+
+  if (parent) {
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'nav-drawer-back';
+    back.textContent = 'Back';
+    back.setAttribute('aria-label', `Back to ${parent.label}`);
+
+    const title = document.createElement('h2');
+    title.className = 'nav-drawer-title';
+    title.textContent = level.label;
+    panel.append(back, title);
+
+    if (level.url) {
+      const all = document.createElement('a');
+      all.href = level.url;
+      all.className = 'nav-drawer-all';
+      all.textContent = `View all ${level.label}`;
+      panel.append(all);
+    }
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'nav-drawer-list';
+  list.append(...level.children.map(createEntry));
+  panel.append(list);
+
+  if (level.promos.length) {
+    const promos = document.createElement('div');
+    promos.className = 'nav-drawer-promos';
+    level.promos.forEach((promo) => {
+      const a = document.createElement('a');
+      a.href = promo.url;
+      a.className = 'nav-drawer-promo';
+      const img = document.createElement('img');
+      img.className = 'nav-drawer-promo-image';
+      img.src = promo.img;
+      img.alt = promo.alt;
+      img.loading = 'lazy';
+      a.append(img);
+      promos.append(a);
+    });
+    panel.append(promos);
+  }
+  return panel;
+}
+
+/**
+ * Builds the top level of the drawer
+ * @param {Array<Element>} navItems - Top-level nav items
+ * @param {Map<Element, Object>} megaMenus - Mega menu content by nav item
+ * @returns {DrawerLevel} Level
+ */
+function getRootLevel(navItems, megaMenus) {
+  const children = navItems.map((navItem) => getNavItemLevel(navItem, megaMenus.get(navItem)));
+  return {
+    label: 'Menu',
+    children,
+    // the top level leads with the first tile of each menu
+    promos: children
+      .map((level) => level.promos[0])
+      .filter(Boolean)
+      .slice(0, MAX_ROOT_PROMOS),
+  };
+}
+
+/**
+ * Creates the mobile navigation drawer
+ * Call it, and setMegaMenus(), before the nav items are decorated for desktop,
+ * while their authored links and lists are still in place.
+ * @param {Array<Element>} navItems - Top-level nav items
+ * @param {Map<Element, Object>} megaMenus - Mega menu content by nav item
+ * @param {Function} onClose - Called when the shopper swipes the drawer closed
+ * @returns {{ drawer: Element, reset: Function, setMegaMenus: Function }} The
+ * drawer element, a function that returns it to the top level (pass true to
+ * focus it too), and a function that rebuilds it from mega menus loaded later
+ */
+export default function createMobileDrawer(navItems, megaMenus, onClose) {
+  let root = getRootLevel(navItems, megaMenus);
+
+  const drawer = document.createElement('div');
+  drawer.className = 'nav-drawer';
+  let path = [root];
+
+  /**
+   * Shows the current level
+   * @param {string} [direction] - 'forward' or 'back', to animate the change
+   * @param {string} [focusSelector] - Element of the new panel to focus
+   */
+  const show = (direction, focusSelector) => {
+    const panel = createPanel(path[path.length - 1], path[path.length - 2]);
+    if (direction) panel.classList.add(`is-${direction}`);
+    drawer.replaceChildren(panel);
+    if (focusSelector) panel.querySelector(focusSelector)?.focus();
+  };
+
+  drawer.addEventListener('click', (e) => {
+    const next = e.target.closest('.nav-drawer-next');
+    if (next) {
+      path.push(path[path.length - 1].children[Number(next.dataset.index)]);
+      show('forward', '.nav-drawer-back');
+      return;
+    }
+    if (e.target.closest('.nav-drawer-back')) {
+      const level = path.pop();
+      const index = path[path.length - 1].children.indexOf(level);
+      // return focus to the entry the shopper came from
+      show('back', `.nav-drawer-next[data-index="${index}"]`);
+    }
+  });
+
+  addSwipeListener(drawer, (direction) => {
+    if (direction < 0) onClose();
+  });
+
+  const reset = (focus = false) => {
+    path = [root];
+    show(null, focus ? 'a, button' : null);
+  };
+  reset();
+
+  const setMegaMenus = (menus) => {
+    root = getRootLevel(navItems, menus);
+    // keep focus in the drawer when it is rebuilt under the shopper
+    reset(drawer.contains(document.activeElement));
+  };
+
+  return { drawer, reset, setMegaMenus };
+}
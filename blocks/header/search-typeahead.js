@@ -0,0 +1,218 @@
+import { isMember } from '../../scripts/auth.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { formatPrice, getActivePrice } from '../../scripts/pricing.js';
+import {
+  getRecentSearches,
+  getSearchIndex,
+  highlight,
+  saveRecentSearch,
+  search,
+} from '../../scripts/search.js';
+
+const DEBOUNCE_DELAY = 200;
+const MIN_QUERY_LENGTH = 2;
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Gets the results page URL for a query
+ * @param {HTMLFormElement} form - The header search form
+ * @param {string} query - Search query
+ * @returns {string} URL
+ */
+function getSearchUrl(form, query) {
+  const url = new URL(form.getAttribute('action'), window.location.href);
+  url.searchParams.set('q', query);
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Creates the options for the recent searches
+ * @param {HTMLFormElement} form - The header search form
+ * @returns {string} Listbox HTML
+ */
+function createRecentHTML(form) {
+  const searches = getRecentSearches();
+  if (!searches.length) return '';
+  return `
+    <li class="nav-search-heading" role="presentation">Recent searches</li>
+    ${searches.map((query) => `
+      <li class="nav-search-option nav-search-recent" role="option" data-url="${escapeHtml(getSearchUrl(form, query))}">
+        ${escapeHtml(query)}
+      </li>
+    `).join('')}
+  `;
+}
+
+/**
+ * Creates the option for one product suggestion
+ * @param {Object} result - Product result ({ entry, words })
+ * @returns {string} Option HTML
+ */
+function createProductHTML({ entry, words }) {
+  const { product } = entry;
+  const price = getActivePrice(product, isMember());
+  return `
+    <li class="nav-search-option nav-search-product" role="option" data-url="${escapeHtml(entry.url)}">
+      <img class="nav-search-product-image" src="${escapeHtml(entry.image || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+      <span class="nav-search-product-name">${highlight(entry.title, words)}</span>
+      <span class="nav-search-product-price">
+        ${formatPrice(price, { currency: product.currency })}
+      </span>
+    </li>
+  `;
+}
+
+/**
+ * Creates the options for product suggestions
+ * @param {HTMLFormElement} form - The header search form
+ * @param {string} query - Search query
+ * @param {Array<Object>} results - Product results ({ entry, words })
+ * @returns {string} Listbox HTML
+ */
+function createSuggestionsHTML(form, query, results) {
+  return `
+    ${results.length ? '<li class="nav-search-heading" role="presentation">Products</li>' : ''}
+    ${results.map(createProductHTML).join('')}
+    <li class="nav-search-option nav-search-all" role="option" data-url="${escapeHtml(getSearchUrl(form, query))}">
+      See all results for “${escapeHtml(query)}”
+    </li>
+  `;
+}
+
+/**
+ * Adds a suggestions dropdown to the header search form
+ * Shows recent searches while the field is empty and product suggestions as
+ * the shopper types. Follows the ARIA combobox pattern: focus stays in the
+ * field and the arrow keys move the active option.
+ * @param {HTMLFormElement} form - The header search form
+ */
+export default function decorateSearchTypeahead(form) {
+  const input = form.querySelector('input[name="q"]');
+  const listbox = document.createElement('ul');
+  listbox.className = 'nav-search-suggestions';
+  listbox.id = 'nav-search-suggestions';
+  listbox.setAttribute('role', 'listbox');
+  listbox.setAttribute('aria-label', 'Search suggestions');
+  listbox.hidden = true;
+  form.append(listbox);
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', listbox.id);
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('autocomplete', 'off');
+
+  let timeout;
+  let requestId = 0;
+
+  const getOptions = () => [...listbox.querySelectorAll('.nav-search-option')];
+
+  const setActive = (index) => {
+    const options = getOptions();
+    options.forEach((option, i) => option.setAttribute('aria-selected', i === index ? 'true' : 'false'));
+    if (options[index]) {
+      input.setAttribute('aria-activedescendant', options[index].id);
+      options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const close = () => {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  };
+
+  const show = (html) => {
+    listbox.innerHTML = html;
+    getOptions().forEach((option, i) => { option.id = `nav-search-option-${i}`; });
+    const open = Boolean(html.trim()) && document.activeElement === input;
+    listbox.hidden = !open;
+    input.setAttribute('aria-expanded', open ? 'true' : 'false');
+    setActive(-1);
+  };
+
+  const update = async () => {
+    const query = input.value.trim();
+    requestId += 1;
+    const id = requestId;
+    if (query.length < MIN_QUERY_LENGTH) {
+      show(createRecentHTML(form));
+      return;
+    }
+    try {
+      const { products } = await search(query, { limit: MAX_SUGGESTIONS });
+      // ignore results for an older query
+      if (id === requestId) show(createSuggestionsHTML(form, query, products));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('Search suggestions are unavailable:', error);
+    }
+  };
+
+  const go = (option) => {
+    if (option.classList.contains('nav-search-recent')) input.value = option.textContent.trim();
+    if (!option.classList.contains('nav-search-product')) saveRecentSearch(input.value);
+    close();
+    window.location.href = option.dataset.url;
+  };
+
+  input.addEventListener('focus', () => {
+    // start loading the index before the first key press
+    getSearchIndex();
+    update();
+  });
+
+  input.addEventListener('input', () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(update, DEBOUNCE_DELAY);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    const options = getOptions();
+    const active = options.findIndex((option) => option.getAttribute('aria-selected') === 'true');
+    if (e.code === 'ArrowDown' || e.code === 'ArrowUp') {
+      e.preventDefault();
+      if (listbox.hidden) {
+        update();
+        return;
+      }
+      if (!options.length) return;
+      const step = e.code === 'ArrowDown' ? 1 : -1;
+      // wrap around, passing through the field itself
+      const next = active + step;
+      setActive(next < -1 ? options.length - 1 : ((next + 1) % (options.length + 1)) - 1);
+    } else if (e.code === 'Enter' && options[active]) {
+      e.preventDefault();
+      go(options[active]);
+    } else if (e.code === 'Escape' && !listbox.hidden) {
+      // stop the header from closing the mobile menu too
+      e.stopPropagation();
+      close();
+    } else if (e.code === 'Escape' && input.value) {
+      e.stopPropagation();
+      input.value = '';
+    } else if (e.code === 'Tab') {
+      close();
+    }
+  });
+
+  // keep focus in the field while an option is clicked
+  listbox.addEventListener('mousedown', (e) => e.preventDefault());
+  listbox.addEventListener('click', (e) => {
+    const option = e.target.closest('.nav-search-option');
+    if (option) go(option);
+  });
+
+  input.addEventListener('blur', close);
+
+  form.addEventListener('submit', (e) => {
+    const query = input.value.trim();
+    if (!query) {
+      e.preventDefault();
+      return;
+    }
+    saveRecentSearch(query);
+  });
+}
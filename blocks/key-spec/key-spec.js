@@ -13,6 +13,15 @@
  * ]
  */
 
+import {
+  getCurrentProduct,
+  getProductSpecs,
+  getSkuFromUrl,
+  getSpecsFrom,
+  onProductChange,
+} from '../../scripts/catalog.js';
+import { escapeHtml } from '../../scripts/dom.js';
+
 /**
  * Hardcoded specification data
  */
@@ -56,32 +65,18 @@ const HARDCODED_SPEC_DATA = [
 ];
 
 /**
- * Load data from API
- * @param {string} apiUrl - API endpoint URL
+ * Load specifications for the current product from the catalog, or from the
+ * block's own API URL when one is authored
+ * @param {string} sku - Product SKU
+ * @param {string} [apiUrl] - Custom spec API URL
  * @returns {Promise<Array>} Array of specification objects
  */
-async function loadDataFromAPI(apiUrl) {
+async function loadSpecs(sku, apiUrl) {
   try {
-    const response = await fetch(apiUrl);
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status}`);
-    }
-    const data = await response.json();
-    
-    // API returns nested array: [[{spec1}, {spec2}, ...]]
-    // Extract the inner array
-    if (Array.isArray(data) && data.length > 0) {
-      // Check if first element is an array (nested format)
-      if (Array.isArray(data[0])) {
-        return data[0]; // Return the inner array
-      }
-      // If not nested, return the array directly
-      return data;
-    }
-    
-    return [];
+    return await (apiUrl ? getSpecsFrom(apiUrl) : getProductSpecs(sku));
   } catch (error) {
-    console.error('Failed to load key-spec data from API:', error);
+    // eslint-disable-next-line no-console
+    console.error('Failed to load key-spec data from catalog:', error);
     return null;
   }
 }
@@ -106,8 +101,8 @@ function createSpecRowHTML(spec, index, total) {
   html += '<div class="key-spec-column">';
   if (spec.leftLabel && spec.leftValue) {
     html += `<div class="key-spec-item">`;
-    html += `<div class="key-spec-label">${spec.leftLabel}</div>`;
-    html += `<div class="key-spec-value">${spec.leftValue}</div>`;
+    html += `<div class="key-spec-label">${escapeHtml(spec.leftLabel)}</div>`;
+    html += `<div class="key-spec-value">${escapeHtml(spec.leftValue)}</div>`;
     html += `</div>`;
   }
   html += '</div>';
@@ -116,8 +111,8 @@ function createSpecRowHTML(spec, index, total) {
   html += '<div class="key-spec-column">';
   if (spec.rightLabel && spec.rightValue) {
     html += `<div class="key-spec-item">`;
-    html += `<div class="key-spec-label">${spec.rightLabel}</div>`;
-    html += `<div class="key-spec-value">${spec.rightValue}</div>`;
+    html += `<div class="key-spec-label">${escapeHtml(spec.rightLabel)}</div>`;
+    html += `<div class="key-spec-value">${escapeHtml(spec.rightValue)}</div>`;
     html += `</div>`;
   }
   html += '</div>';
@@ -160,22 +155,23 @@ function createKeySpecHTML(specs) {
 }
 
 /**
- * Main decoration function
+ * Render the specifications for a product into the block
  * @param {HTMLElement} block - The block element
+ * @param {string} sku - Product SKU
  */
-export default async function decorate(block) {
+async function renderSpecs(block, sku) {
   let specs = null;
+  block.dataset.requestedSku = sku;
 
-  // Use custom API URL if provided, otherwise use default API
-  const apiUrl = block.dataset.apiUrl || 'https://696f0a83a06046ce618526b0.mockapi.io/api/key-spec';
+  // Try to load from the custom API URL if provided, otherwise the catalog
+  const apiData = await loadSpecs(sku, block.dataset.apiUrl);
+  // a later variant switch won the race
+  if (block.dataset.requestedSku !== sku) return;
 
-  // Try to load from API
-  const apiData = await loadDataFromAPI(apiUrl);
   if (apiData && apiData.length > 0) {
     specs = apiData;
   } else {
     // Fallback to hardcoded data if API fails
-    console.log('Key Spec: API failed or returned no data, using hardcoded data');
     specs = HARDCODED_SPEC_DATA;
   }
 
@@ -188,4 +184,18 @@ export default async function decorate(block) {
   container.innerHTML = createKeySpecHTML(specs);
 
   block.appendChild(container);
+  block.dataset.sku = sku;
+}
+
+/**
+ * Main decoration function
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  await renderSpecs(block, getCurrentProduct()?.sku || getSkuFromUrl());
+
+  // Follow size/colour variant switches on the product page
+  onProductChange((product) => {
+    if (product.sku !== block.dataset.requestedSku) renderSpecs(block, product.sku);
+  });
 }
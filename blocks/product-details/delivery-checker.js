@@ -0,0 +1,111 @@
+/**
+ * Delivery Checker
+ * Postcode form in the buy box that lists delivery options and earliest dates.
+ * The postcode is remembered for the session and re-checked on variant switches.
+ */
+
+import {
+  getDeliveryOptions,
+  getSavedPostcode,
+  normalizePostcode,
+  savePostcode,
+} from '../../scripts/delivery.js';
+import { formatPrice, getLocale } from '../../scripts/pricing.js';
+
+/**
+ * Formats the delivery window of an option
+ * @param {Date} earliest - Earliest delivery date
+ * @param {Date} latest - Latest delivery date
+ * @returns {string} Formatted dates
+ */
+function formatDeliveryDates(earliest, latest) {
+  const format = new Intl.DateTimeFormat(getLocale(), { weekday: 'short', day: 'numeric', month: 'short' });
+  if (latest > earliest && format.formatRange) return format.formatRange(earliest, latest);
+  return format.format(earliest);
+}
+
+/**
+ * Create the delivery checker HTML
+ * @param {Object} product - Product
+ * @returns {string} HTML string, empty when the product cannot be ordered
+ */
+export function createDeliveryCheckerHTML(product) {
+  if (product.availability === 'out-of-stock') return '';
+  return `
+    <div class="delivery-checker">
+      <form class="delivery-form" novalidate>
+        <label for="delivery-postcode">Check delivery to your postcode</label>
+        <div class="delivery-input">
+          <input type="text" id="delivery-postcode" name="postcode" autocomplete="postal-code"
+            placeholder="e.g. SW1A 1AA" value="${getSavedPostcode()}" aria-describedby="delivery-result">
+          <button type="submit" class="delivery-check-btn">Check</button>
+        </div>
+      </form>
+      <div class="delivery-result" id="delivery-result" aria-live="polite"></div>
+    </div>
+  `;
+}
+
+/**
+ * Looks up and renders the delivery options for a postcode
+ * @param {Element} checker - The delivery checker element
+ * @param {Object} product - Product
+ * @param {string} input - Postcode as typed
+ */
+async function checkDelivery(checker, product, input) {
+  const result = checker.querySelector('.delivery-result');
+  const field = checker.querySelector('input[name="postcode"]');
+  const postcode = normalizePostcode(input);
+
+  if (!postcode) {
+    field.setAttribute('aria-invalid', 'true');
+    result.innerHTML = '<p class="delivery-error">Please enter a valid UK postcode.</p>';
+    return;
+  }
+
+  field.removeAttribute('aria-invalid');
+  field.value = postcode;
+  savePostcode(postcode);
+  result.innerHTML = '<p class="delivery-loading">Checking delivery options…</p>';
+
+  try {
+    const options = await getDeliveryOptions(postcode, product);
+    // a newer check may have started while loading
+    if (field.value !== postcode) return;
+    const money = { currency: product.currency };
+    result.innerHTML = options.length ? `
+      <p class="delivery-postcode">Delivery to <strong>${postcode}</strong></p>
+      <ul class="delivery-options">
+        ${options.map((option) => `
+          <li class="delivery-option">
+            <span class="delivery-option-label">${option.label}</span>
+            <span class="delivery-option-price">${option.price ? formatPrice(option.price, money) : 'Free'}</span>
+            <span class="delivery-option-date">${formatDeliveryDates(option.earliestDate, option.latestDate)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    ` : `<p class="delivery-error">Sorry, we can't deliver to ${postcode} online. Please contact us to arrange delivery.</p>`;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to load delivery options:', error);
+    result.innerHTML = '<p class="delivery-error">Delivery options are unavailable right now. Please try again later.</p>';
+  }
+}
+
+/**
+ * Wires up the delivery checker in the buy box
+ * @param {Element} block - The block element
+ * @param {Object} product - Product
+ */
+export default function decorateDeliveryChecker(block, product) {
+  const checker = block.querySelector('.delivery-checker');
+  if (!checker) return;
+
+  checker.querySelector('.delivery-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    checkDelivery(checker, product, checker.querySelector('input[name="postcode"]').value);
+  });
+
+  const savedPostcode = getSavedPostcode();
+  if (savedPostcode) checkDelivery(checker, product, savedPostcode);
+}
@@ -0,0 +1,163 @@
+/**
+ * Gallery Viewer
+ * Full-screen lightbox for the product gallery with zoom, pan and swipe.
+ *
+ * - Wheel, pinch or double-click to zoom; drag to pan while zoomed
+ * - Swipe, arrow keys or the arrow buttons to change image
+ * - Focus stays inside the viewer; Escape closes and returns focus
+ */
+
+import { addSwipeListener, trapFocus } from '../../scripts/dom.js';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+
+/**
+ * Creates the viewer dialog
+ * @returns {HTMLDialogElement} Viewer element
+ */
+function createViewer() {
+  const viewer = document.createElement('dialog');
+  viewer.className = 'gallery-viewer';
+  viewer.setAttribute('aria-label', 'Product images');
+  viewer.innerHTML = `
+    <div class="gallery-viewer-toolbar">
+      <span class="gallery-viewer-counter" aria-live="polite"></span>
+      <div class="gallery-viewer-zoom">
+        <button type="button" class="gallery-viewer-zoom-out" aria-label="Zoom out">−</button>
+        <button type="button" class="gallery-viewer-zoom-in" aria-label="Zoom in">+</button>
+      </div>
+      <button type="button" class="gallery-viewer-close" aria-label="Close">×</button>
+    </div>
+    <div class="gallery-viewer-stage">
+      <img class="gallery-viewer-image" alt="" draggable="false">
+    </div>
+    <button type="button" class="gallery-viewer-prev" aria-label="Previous image">‹</button>
+    <button type="button" class="gallery-viewer-next" aria-label="Next image">›</button>
+  `;
+  return viewer;
+}
+
+/**
+ * Opens the gallery viewer
+ * @param {Array} images - Gallery images ({ src, alt })
+ * @param {number} startIndex - Index of the image to show first
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onChange] - Called with the index of the image shown
+ */
+export default function openGalleryViewer(images, startIndex = 0, { onChange } = {}) {
+  if (!images?.length) return;
+
+  const opener = document.activeElement;
+  const viewer = createViewer();
+  const stage = viewer.querySelector('.gallery-viewer-stage');
+  const image = viewer.querySelector('.gallery-viewer-image');
+  const counter = viewer.querySelector('.gallery-viewer-counter');
+  const prevBtn = viewer.querySelector('.gallery-viewer-prev');
+  const nextBtn = viewer.querySelector('.gallery-viewer-next');
+
+  let index = startIndex;
+  const view = { scale: 1, x: 0, y: 0 };
+  const pointers = new Map();
+  let pinchDistance = null;
+
+  const applyTransform = () => {
+    // keep the zoomed image covering the stage while panning
+    const maxX = ((view.scale - 1) * stage.clientWidth) / 2;
+    const maxY = ((view.scale - 1) * stage.clientHeight) / 2;
+    view.x = Math.max(-maxX, Math.min(maxX, view.x));
+    view.y = Math.max(-maxY, Math.min(maxY, view.y));
+    image.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+    viewer.classList.toggle('is-zoomed', view.scale > MIN_SCALE);
+  };
+
+  const setScale = (scale) => {
+    view.scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale));
+    if (view.scale === MIN_SCALE) {
+      view.x = 0;
+      view.y = 0;
+    }
+    applyTransform();
+  };
+
+  const show = (newIndex) => {
+    index = (newIndex + images.length) % images.length;
+    image.src = images[index].src;
+    image.alt = images[index].alt || '';
+    counter.textContent = `${index + 1} / ${images.length}`;
+    setScale(MIN_SCALE);
+    if (onChange) onChange(index);
+  };
+
+  const close = () => {
+    viewer.close();
+  };
+
+  prevBtn.hidden = images.length < 2;
+  nextBtn.hidden = images.length < 2;
+  prevBtn.addEventListener('click', () => show(index - 1));
+  nextBtn.addEventListener('click', () => show(index + 1));
+  viewer.querySelector('.gallery-viewer-close').addEventListener('click', close);
+  viewer.querySelector('.gallery-viewer-zoom-in').addEventListener('click', () => setScale(view.scale * 1.5));
+  viewer.querySelector('.gallery-viewer-zoom-out').addEventListener('click', () => setScale(view.scale / 1.5));
+
+  viewer.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowLeft') show(index - 1);
+    if (e.key === 'ArrowRight') show(index + 1);
+    trapFocus(viewer, e);
+  });
+
+  // wheel zoom
+  stage.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    setScale(view.scale * (e.deltaY < 0 ? 1.1 : 0.9));
+  }, { passive: false });
+
+  // double-click toggles zoom
+  stage.addEventListener('dblclick', () => setScale(view.scale > MIN_SCALE ? MIN_SCALE : 2.5));
+
+  // pinch zoom and pan
+  stage.addEventListener('pointerdown', (e) => {
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (stage.setPointerCapture) stage.setPointerCapture(e.pointerId);
+  });
+
+  stage.addEventListener('pointermove', (e) => {
+    const previous = pointers.get(e.pointerId);
+    if (!previous) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 2) {
+      const [a, b] = [...pointers.values()];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      if (pinchDistance) setScale(view.scale * (distance / pinchDistance));
+      pinchDistance = distance;
+    } else if (view.scale > MIN_SCALE) {
+      view.x += e.clientX - previous.x;
+      view.y += e.clientY - previous.y;
+      applyTransform();
+    }
+  });
+
+  const endPointer = (e) => {
+    pointers.delete(e.pointerId);
+    if (pointers.size < 2) pinchDistance = null;
+  };
+  stage.addEventListener('pointerup', endPointer);
+  stage.addEventListener('pointercancel', endPointer);
+
+  // swipe between images when not zoomed
+  addSwipeListener(stage, (direction) => show(index + direction), () => view.scale === MIN_SCALE);
+
+  viewer.addEventListener('close', () => {
+    viewer.remove();
+    document.body.classList.remove('gallery-viewer-open');
+    if (opener) opener.focus();
+  });
+
+  document.body.append(viewer);
+  document.body.classList.add('gallery-viewer-open');
+  show(startIndex);
+  viewer.showModal();
+  viewer.querySelector('.gallery-viewer-close').focus();
+}
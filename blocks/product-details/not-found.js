@@ -0,0 +1,139 @@
+/**
+ * Product Not Found
+ * Shown in place of the product when the SKU in the URL is not in the catalog.
+ * Offers a search and similar products, keeps the page out of search engines
+ * and reports the miss to RUM as a 404.
+ */
+
+import { sampleRUM } from '../../scripts/aem.js';
+import { isMember } from '../../scripts/auth.js';
+import { getProducts } from '../../scripts/catalog.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { getLocalePath, getPlaceholderText, getPlaceholders } from '../../scripts/locale.js';
+import { formatPrice, getActivePrice } from '../../scripts/pricing.js';
+import { setStructuredData } from '../../scripts/structured-data.js';
+
+const MAX_SIMILAR_PRODUCTS = 4;
+
+/**
+ * Asks search engines not to index the page
+ */
+function setNoindex() {
+  let meta = document.head.querySelector('meta[name="robots"]');
+  if (!meta) {
+    meta = document.createElement('meta');
+    meta.name = 'robots';
+    document.head.append(meta);
+  }
+  meta.content = 'noindex';
+}
+
+/**
+ * Counts the leading characters two SKUs share
+ * @param {string} a - First SKU
+ * @param {string} b - Second SKU
+ * @returns {number} Length of the common prefix
+ */
+function getCommonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && a[length] === b[length]) length += 1;
+  return length;
+}
+
+/**
+ * Picks the products closest to a missing SKU
+ * SKUs share their range and size at the start (OLED55G54LW, OLED65G54LW), so
+ * the longest common prefix wins; ties go to the best rated.
+ * @param {Array<Object>} products - Catalog products
+ * @param {string} sku - Missing SKU
+ * @returns {Array<Object>} Similar products
+ */
+function getSimilarProducts(products, sku) {
+  return products
+    .map((product) => ({ product, score: getCommonPrefixLength(product.sku, sku || '') }))
+    .sort((a, b) => b.score - a.score || b.product.rating - a.product.rating)
+    .slice(0, MAX_SIMILAR_PRODUCTS)
+    .map(({ product }) => product);
+}
+
+/**
+ * Create HTML for one similar product
+ * @param {Object} product - Product
+ * @returns {string} HTML string
+ */
+function createSimilarProductHTML(product) {
+  const price = getActivePrice(product, isMember());
+  const url = escapeHtml(getLocalePath(`/products/${product.sku}`));
+  return `
+    <li class="product-not-found-card">
+      <a class="product-not-found-card-image" href="${url}" tabindex="-1" aria-hidden="true">
+        <img src="${escapeHtml(product.galleryImages[0]?.src || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+      </a>
+      <a class="product-not-found-card-name" href="${url}">${escapeHtml(product.shortName || product.name)}</a>
+      <span class="product-not-found-card-price">
+        ${formatPrice(price, { currency: product.currency })}
+      </span>
+    </li>
+  `;
+}
+
+/**
+ * Create the not-found view HTML
+ * The message's {sku} token marks where the SKU goes; it is filled in as text.
+ * @param {Object<string, string>} placeholders - Placeholders of the country site
+ * @returns {string} HTML string
+ */
+function createNotFoundHTML(placeholders) {
+  const message = getPlaceholderText(
+    placeholders,
+    'productNotFoundMessage',
+    "We couldn't find a product with the code {sku}. It may no longer be available, or the link may be wrong.",
+    { sku: '<strong class="product-not-found-sku"></strong>' },
+  );
+  return `
+    <div class="product-not-found">
+      <h1>${getPlaceholderText(placeholders, 'productNotFound', 'Product not found')}</h1>
+      <p class="product-not-found-message">${message}</p>
+      <form class="product-not-found-search" role="search" action="${getLocalePath('/search')}" method="get">
+        <label for="product-not-found-query">${getPlaceholderText(placeholders, 'searchForAProduct', 'Search for a product')}</label>
+        <div class="product-not-found-field">
+          <input type="search" id="product-not-found-query" name="q">
+          <button type="submit" class="product-not-found-submit">${getPlaceholderText(placeholders, 'search', 'Search')}</button>
+        </div>
+      </form>
+      <section class="product-not-found-similar" aria-labelledby="product-not-found-similar-heading" hidden>
+        <h2 id="product-not-found-similar-heading">${getPlaceholderText(placeholders, 'youMightBeLookingFor', 'You might be looking for')}</h2>
+        <ul class="product-not-found-list"></ul>
+      </section>
+    </div>
+  `;
+}
+
+/**
+ * Renders the not-found view for a SKU
+ * @param {Element} container - The product details container
+ * @param {string} sku - The SKU from the URL
+ */
+export default async function renderNotFound(container, sku) {
+  const placeholders = await getPlaceholders();
+  container.innerHTML = createNotFoundHTML(placeholders);
+  container.classList.add('is-not-found');
+  // the SKU comes from the URL, so keep it out of the markup
+  const skuText = container.querySelector('.product-not-found-sku');
+  if (skuText) skuText.textContent = sku || getPlaceholderText(placeholders, 'none', '(none)');
+
+  setNoindex();
+  setStructuredData('product', null);
+  setStructuredData('breadcrumb', null);
+  sampleRUM('404', { source: document.referrer, target: sku });
+
+  try {
+    const similar = getSimilarProducts(await getProducts(), sku);
+    if (!similar.length) return;
+    container.querySelector('.product-not-found-list').innerHTML = similar.map(createSimilarProductHTML).join('');
+    container.querySelector('.product-not-found-similar').hidden = false;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('Similar products are unavailable:', error);
+  }
+}
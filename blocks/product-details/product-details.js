@@ -5,12 +5,71 @@
  * URL Format: /products/{SKU}
  * Example: /products/OLED55G54LW
  *
- * Future API Integration:
- * Replace getProductData() with an API call
+ * Product data comes from the shared catalog client (scripts/catalog.js).
+ * Pages can embed the product JSON instead, either in a code cell of the block
+ * or as a pre-rendered <script type="application/json" data-product> tag; the
+ * product then renders without waiting for the catalog request.
  */
 
+import {
+  buildBlock,
+  decorateBlock,
+  getMetadata,
+  loadBlock,
+} from '../../scripts/aem.js';
+import { isMember, onAuthChange, requestSignIn } from '../../scripts/auth.js';
+import { addToCart } from '../../scripts/cart.js';
+import {
+  getEmbeddedProduct,
+  getProduct,
+  getSkuFromUrl,
+  getVariantProduct,
+  getVariants,
+  setCurrentProduct,
+} from '../../scripts/catalog.js';
+import {
+  MAX_COMPARE_ITEMS,
+  addToCompare,
+  isInCompare,
+  onCompareChange,
+  removeFromCompare,
+} from '../../scripts/compare.js';
+import { addSwipeListener, escapeHtml } from '../../scripts/dom.js';
+import { createEnergyBadgeHTML, openEnergyLabel } from '../../scripts/energy-label.js';
+import { describePlan, getMonthlyPayment } from '../../scripts/finance.js';
+import { getPlaceholderText, getPlaceholders } from '../../scripts/locale.js';
+import { formatPrice, getActivePrice, getLocale } from '../../scripts/pricing.js';
+import { recordProductView } from '../../scripts/recently-viewed.js';
+import { requestReviewForm } from '../../scripts/reviews.js';
+import { LAYER_ORDER, addStickyLayer, removeStickyLayer } from '../../scripts/sticky-layers.js';
+import { updateProductStructuredData } from '../../scripts/structured-data.js';
+import { getTradeUpAdjustment, saveTradeUp } from '../../scripts/trade-up.js';
+import decorateCompareTray from '../compare/compare-tray.js';
+import decorateTradeUpCalculator, { createTradeUpCalculatorHTML } from '../trade-up/trade-up-calculator.js';
+import decorateDeliveryChecker, { createDeliveryCheckerHTML } from './delivery-checker.js';
+import openGalleryViewer from './gallery-viewer.js';
+import renderNotFound from './not-found.js';
+import decoratePurchaseOptions, {
+  createPurchaseOptionsHTML,
+  getPlanAmount,
+  getSelectedPlan,
+} from './purchase-options.js';
+
+// Products already rendered on this page, by SKU, so back/forward can restore them
+const renderedProducts = new Map();
+// Translated UI strings of the country site, loaded before the first render
+let placeholders = {};
+
+/**
+ * Checks the page-level debug flag (`debug` metadata set to true/on/yes)
+ * @returns {boolean} True when demo data may stand in for missing products
+ */
+function isDebugMode() {
+  return ['true', 'on', 'yes'].includes(getMetadata('debug').toLowerCase());
+}
+
 /**
- * Fallback product data - Used if API call fails
+ * Demo product data - Only used on debug pages when the catalog has no product
  * @param {string} sku - Product SKU
  * @returns {Object} Product data
  */
@@ -20,6 +79,7 @@ function getFallbackProductData(sku) {
     name: '55 inch LG OLED evo AI G5 4K Smart TV 2025 - Wall mount version',
     shortName: '55 inch LG OLED evo AI G5 4K Smart TV 2025 - Wall mount version',
     badge: 'Trade-Up for £150 off',
+    tradeUp: true,
     price: 1699.00,
     originalPrice: 2399.99,
     memberPrice: 1665.02,
@@ -38,6 +98,12 @@ function getFallbackProductData(sku) {
       '100% Colour Fidelity for accurate lifelike colours. 100% Colour Volume for richer hues',
     ],
     freeDelivery: true,
+    availability: 'in-stock',
+    stockQuantity: null,
+    releaseDate: '',
+    energyClass: 'F',
+    energyLabelUrl: '',
+    productSheetUrl: '',
     galleryImages: [
       { src: 'https://www.lg.com/content/dam/channel/wcms/uk/tv-audio-video/tv-soundbar/oled-evo/g5/oled55g54lw/OLED55G54LW_2010x1334_7.jpg/jcr:content/renditions/thum-1600x1062.jpeg?w=800', label: '', alt: 'LG OLED G5 Front View' },
       { src: 'https://www.lg.com/content/dam/channel/wcms/uk/2025-promotions/tv-gallery-updates-june/g5/wall/55/_2010x1334_G5_55.jpg/jcr:content/renditions/thum-1600x1062.jpeg?w=800', label: '', alt: 'LG OLED G5 Wall Mount' },
@@ -58,69 +124,25 @@ function getFallbackProductData(sku) {
 }
 
 /**
- * Fetch product data from API
+ * Fetch product data from the catalog
+ * On debug pages, demo data stands in for a missing product or an unavailable catalog.
  * @param {string} sku - Product SKU
- * @returns {Promise<Object>} Product data
+ * @returns {Promise<Object|null>} Product data, or null when the SKU is not in the catalog
  */
 async function getProductData(sku) {
-  const apiUrl = `https://696f0a83a06046ce618526b0.mockapi.io/api/products`;
-  
+  let product = null;
   try {
-    const response = await fetch(apiUrl);
-    
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    // API returns an array of products - find the one matching the requested SKU
-    if (Array.isArray(data) && data.length > 0) {
-      // Normalize SKU for comparison (uppercase, trim whitespace)
-      const normalizedSku = (sku || '').toUpperCase().trim();
-      
-      // Find product with matching SKU
-      const product = data.find((item) => {
-        const itemSku = (item.sku || '').toUpperCase().trim();
-        return itemSku === normalizedSku;
-      });
-      
-      if (product) {
-        // Ensure SKU matches the requested SKU
-        product.sku = sku || product.sku;
-        return product;
-      }
-      
-      // If no matching SKU found, log warning and use fallback
-      console.warn(`Product with SKU "${sku}" not found in API response. Available SKUs: ${data.map((item) => item.sku).join(', ')}`);
-      return getFallbackProductData(sku);
-    }
-    
-    // If response is not an array or is empty, use fallback
-    console.warn('API returned unexpected format, using fallback data');
-    return getFallbackProductData(sku);
-    
+    product = await getProduct(sku);
   } catch (error) {
-    console.error('Failed to fetch product data from API:', error);
-    console.log('Using fallback product data');
-    return getFallbackProductData(sku);
+    if (!isDebugMode()) throw error;
+    // eslint-disable-next-line no-console
+    console.error('Failed to fetch product data from catalog:', error);
   }
-}
-
-/**
- * Gets SKU from URL path
- * URL: /products/OLED55G54LW → Returns: OLED55G54LW
- * @returns {string} SKU
- */
-function getSkuFromUrl() {
-  const { pathname } = window.location;
-  const segments = pathname.split('/').filter((s) => s);
+  if (product || !isDebugMode()) return product;
 
-  // Get last segment as SKU
-  const lastSegment = segments[segments.length - 1] || '';
-
-  // Return uppercase SKU or empty string
-  return lastSegment.toUpperCase();
+  // eslint-disable-next-line no-console
+  console.warn(`Product with SKU "${sku}" not found in catalog, using demo data`);
+  return getFallbackProductData(sku);
 }
 
 function createStarRating(rating) {
@@ -146,7 +168,20 @@ function createSizeSelector(sizes, selectedSize) {
   return `
     <div class="size-selector">
       ${sizes.map((size) => `
-        <button class="size-btn ${size === selectedSize ? 'selected' : ''}" data-size="${size}">${size}</button>
+        <button class="size-btn ${size === selectedSize ? 'selected' : ''}" data-size="${escapeHtml(size)}">${escapeHtml(size)}</button>
+      `).join('')}
+    </div>
+  `;
+}
+
+function createColourSelector(variants, selectedColour) {
+  const colours = [...new Set(variants.map((v) => v.colour).filter((c) => c))];
+  if (colours.length < 2) return '';
+
+  return `
+    <div class="colour-selector">
+      ${colours.map((colour) => `
+        <button class="colour-btn ${colour === selectedColour ? 'selected' : ''}" data-colour="${escapeHtml(colour)}">${escapeHtml(colour)}</button>
       `).join('')}
     </div>
   `;
@@ -158,35 +193,129 @@ function createKeyFeatures(features) {
   return `
     <div class="key-features">
       <h3>Key Features</h3>
-      <ul>${features.map((f) => `<li>${f}</li>`).join('')}</ul>
+      <ul>${features.map((f) => `<li>${escapeHtml(f)}</li>`).join('')}</ul>
       <button class="more-btn">More <span class="arrow">▼</span></button>
     </div>
   `;
 }
 
 
+/**
+ * Formats a release date for pre-order messages
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date, empty when invalid
+ */
+function formatReleaseDate(date) {
+  const parsed = new Date(date);
+  if (!date || Number.isNaN(parsed.getTime())) return '';
+  return parsed.toLocaleDateString(getLocale(), { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function createAvailability(product) {
+  const releaseDate = formatReleaseDate(product.releaseDate);
+  const messages = {
+    'in-stock': getPlaceholderText(placeholders, 'inStock', 'In stock'),
+    'low-stock': product.stockQuantity
+      ? getPlaceholderText(placeholders, 'lowStockCount', 'Low stock - only {count} left', { count: product.stockQuantity })
+      : getPlaceholderText(placeholders, 'lowStock', 'Low stock'),
+    'pre-order': releaseDate
+      ? getPlaceholderText(placeholders, 'preOrderFrom', 'Pre-order - available from {date}', { date: releaseDate })
+      : getPlaceholderText(placeholders, 'preOrderAvailable', 'Available to pre-order'),
+    'out-of-stock': getPlaceholderText(placeholders, 'outOfStock', 'Out of stock'),
+  };
+  return `
+    <p class="availability availability-${product.availability}">
+      <span class="availability-dot" aria-hidden="true"></span>
+      ${messages[product.availability] || messages['in-stock']}
+    </p>
+  `;
+}
+
+function getBuyLabel(product) {
+  if (product.availability === 'pre-order') return getPlaceholderText(placeholders, 'preOrder', 'Pre-order');
+  return getSelectedPlan()?.type === 'subscription'
+    ? getPlaceholderText(placeholders, 'subscribe', 'Subscribe')
+    : getPlaceholderText(placeholders, 'buyNow', 'Buy Now');
+}
+
+function createBuyButton(product) {
+  if (product.availability === 'out-of-stock') {
+    return `<button class="buy-now-btn" disabled>${getPlaceholderText(placeholders, 'outOfStockButton', 'Out of Stock')}</button>`;
+  }
+  return `<button class="buy-now-btn">${getBuyLabel(product)}</button>`;
+}
+
+function createStickyPrices(product) {
+  const money = { currency: product.currency };
+  const activePrice = getActivePrice(product, isMember());
+
+  // finance and subscription show the monthly payment
+  const plan = getSelectedPlan();
+  if (plan) {
+    return `
+      <div class="sticky-prices">
+        <div class="sticky-price">
+          <span class="current-price">${formatPrice(getMonthlyPayment(getPlanAmount(activePrice, plan), plan), money)}<span class="price-period">/month</span></span>
+          <span class="sticky-plan">${describePlan(plan)}</span>
+        </div>
+      </div>
+    `;
+  }
+  const hasMemberPrice = product.memberPrice > 0 && product.memberPrice < product.price;
+  const savings = Math.max(product.originalPrice - activePrice, 0);
+
+  let memberHTML = '';
+  if (activePrice < product.price) {
+    memberHTML = '<span class="member-price member-price-applied">Member price applied</span>';
+  } else if (hasMemberPrice) {
+    memberHTML = `
+      <button type="button" class="member-price member-unlock">
+        Members Only ${formatPrice(product.memberPrice, money)} <span class="member-unlock-cta">Sign in to unlock</span>
+      </button>
+    `;
+  }
+
+  return `
+    <div class="sticky-prices">
+      ${savings > 0 ? `
+        <div class="sticky-pricing">
+          <span class="savings">Save ${formatPrice(savings, money)}</span>
+          <span class="original-price">${formatPrice(product.originalPrice, money)}</span>
+        </div>
+      ` : ''}
+      <div class="sticky-price">
+        <span class="current-price">${formatPrice(activePrice, money)}</span>
+        ${memberHTML}
+      </div>
+    </div>
+  `;
+}
+
+function hasTradeUp(product) {
+  return product.tradeUp && product.availability !== 'out-of-stock';
+}
+
+function createBadge(product) {
+  if (!product.badge) return '';
+  // the trade-up offer links to the calculator in the buy box
+  if (hasTradeUp(product)) return `<a class="product-badge" href="#trade-up">${escapeHtml(product.badge)}</a>`;
+  return `<span class="product-badge">${escapeHtml(product.badge)}</span>`;
+}
+
 function createStickyHeader(product) {
-  const iconPath = `${window.hlx?.codeBasePath || ''}/icons/label-energy-grade-f.svg`;
   return `
     <div class="product-sticky-header">
       <div class="sticky-header-content">
-        <div class="sticky-product-name">${product.shortName}</div>
+        <div class="sticky-product-name">${escapeHtml(product.shortName)}</div>
         <div class="sticky-actions">
-          <div class="product-sheet">
-            <span class="sheet-icon">
-              <img src="${iconPath}" alt="Energy Grade F" loading="lazy" style="height: 20px; width: auto;">
-            </span>
-            <span>Product<br>Information Sheet</span>
-          </div>
-          <div class="sticky-pricing">
-            <span class="savings">Save ${product.currency}${product.savings.toFixed(2)}</span>
-            <span class="original-price">${product.currency}${product.originalPrice.toFixed(2)}</span>
-          </div>
-          <div class="sticky-price">
-            <span class="current-price">${product.currency}${product.price.toFixed(2)}</span>
-            <span class="member-price">Members Only ${product.currency}${product.memberPrice.toFixed(2)}</span>
-          </div>
-          <button class="buy-now-btn">Buy Now</button>
+          ${product.energyClass || product.productSheetUrl ? `
+            <div class="product-sheet">
+              ${createEnergyBadgeHTML(product)}
+              ${product.productSheetUrl ? `<a class="sheet-link" href="${escapeHtml(product.productSheetUrl)}" target="_blank" rel="noopener">Product<br>Information Sheet</a>` : ''}
+            </div>
+          ` : ''}
+          ${createStickyPrices(product)}
+          ${createBuyButton(product)}
         </div>
       </div>
     </div>
@@ -197,10 +326,10 @@ function createProductContent(product) {
   return `
     <div class="product-main">
       <div class="product-info">
-        ${product.badge ? `<span class="product-badge">${product.badge}</span>` : ''}
-        <h1 class="product-title">${product.name}</h1>
+        ${createBadge(product)}
+        <h1 class="product-title">${escapeHtml(product.name)}</h1>
         <div class="product-meta">
-          <span class="product-sku">${product.sku}</span>
+          <span class="product-sku">${escapeHtml(product.sku)}</span>
           <span class="meta-separator">|</span>
           <a href="#" class="chat-expert">Chat with an expert <span class="chat-icon">💬</span></a>
         </div>
@@ -208,25 +337,36 @@ function createProductContent(product) {
           <div class="stars">${createStarRating(product.rating)}</div>
           <span class="rating-value">${product.rating}</span>
           <span class="rating-separator">|</span>
-          <span class="review-count">${product.reviewCount} Reviews</span>
+          <a href="#reviews" class="review-count">${product.reviewCount} Reviews</a>
         </div>
         <div class="recommend-info">
           ${product.recommendCount} out of ${product.recommendTotal} (${product.recommendPercentage}%) reviewers recommend this product
         </div>
         <button class="share-thoughts-btn">SHARE YOUR THOUGHTS!</button>
+        ${createColourSelector(product.variants || [], product.selectedColour)}
         ${createSizeSelector(product.sizes, product.selectedSize)}
+        <div class="compare-control">
+          <button type="button" class="compare-btn" aria-pressed="${isInCompare(product.sku)}">
+            <span class="compare-check" aria-hidden="true"></span> ${getPlaceholderText(placeholders, 'addToCompare', 'Add to compare')}
+          </button>
+          <p class="compare-message" role="status" hidden></p>
+        </div>
         ${createKeyFeatures(product.keyFeatures)}
-        ${product.freeDelivery ? `
+        ${createPurchaseOptionsHTML(product)}
+        ${createAvailability(product)}
+        ${product.freeDelivery && product.availability !== 'out-of-stock' ? `
           <div class="delivery-banner">
             <span class="delivery-icon">🚚</span>
             <span class="delivery-text">Free Express Delivery</span>
           </div>
         ` : ''}
+        ${createDeliveryCheckerHTML(product)}
+        ${hasTradeUp(product) ? createTradeUpCalculatorHTML({ product, heading: 'h3' }) : ''}
       </div>
       <div class="product-gallery">
         <div class="gallery-main">
-          <div class="gallery-image">
-            <img src="${product.galleryImages?.[0]?.src || '/icons/placeholder-product.svg'}" alt="${product.name}" loading="lazy">
+          <div class="gallery-image" role="button" tabindex="0" aria-label="Open full-screen gallery">
+            <img src="${escapeHtml(product.galleryImages?.[0]?.src || '/icons/placeholder-product.svg')}" alt="${escapeHtml(product.name)}" loading="eager" fetchpriority="high">
           </div>
         </div>
         <button class="ar-btn"><span>✨</span> AR</button>
@@ -235,8 +375,8 @@ function createProductContent(product) {
           <div class="gallery-thumbnails">
             ${(product.galleryImages || []).map((img, index) => `
               <div class="thumbnail ${index === 0 ? 'selected' : ''}" data-index="${index}">
-                <img src="${img.src}" alt="${img.alt}" loading="lazy">
-                ${img.label ? `<span class="thumbnail-label">${img.label}</span>` : ''}
+                <img src="${escapeHtml(img.src)}" alt="${escapeHtml(img.alt || '')}" loading="lazy">
+                ${img.label ? `<span class="thumbnail-label">${escapeHtml(img.label)}</span>` : ''}
               </div>
             `).join('')}
           </div>
@@ -247,15 +387,144 @@ function createProductContent(product) {
   `;
 }
 
-function initEventListeners(block) {
-  // Size selector
+/**
+ * Finds the variant for the selected options
+ * Prefers an exact match, then any variant matching the option that just changed.
+ * @param {Array} variants - Product variants
+ * @param {Object} product - Current product
+ * @param {Object} options - Changed options ({ size } or { colour })
+ * @returns {Object|undefined} Variant
+ */
+function findVariant(variants, product, options) {
+  const wanted = { size: product.selectedSize, colour: product.selectedColour, ...options };
+  return variants.find((v) => v.size === wanted.size && (!v.colour || v.colour === wanted.colour))
+    || variants.find((v) => Object.keys(options).every((key) => v[key] === options[key]));
+}
+
+/**
+ * Renders a product into the block and publishes it as the current product
+ * @param {Element} block - The block element
+ * @param {Object} product - Product data
+ */
+function renderProduct(block, product) {
+  const container = block.querySelector('.product-details-container');
+  container.dataset.sku = product.sku;
+  container.classList.remove('is-updating');
+  // the bundle section follows the product itself, so keep it across variant switches
+  const bundleSection = container.querySelector('.product-bundle');
+  removeStickyLayer(container.querySelector('.product-sticky-header'));
+  container.innerHTML = createStickyHeader(product) + createProductContent(product);
+  if (bundleSection) container.querySelector('.product-info').append(bundleSection);
+  addStickyLayer(container.querySelector('.product-sticky-header'), { order: LAYER_ORDER.product });
+  renderedProducts.set(product.sku, product);
+
+  // eslint-disable-next-line no-use-before-define
+  initEventListeners(block, product);
+  updateProductStructuredData(product);
+  setCurrentProduct(product);
+  recordProductView({
+    sku: product.sku,
+    name: product.name,
+    image: product.galleryImages?.[0]?.src,
+    price: product.price,
+    currency: product.currency,
+    url: window.location.pathname,
+  });
+}
+
+/**
+ * Adds a compact bundle block to the buy box
+ * Pages that place their own bundle block don't get a second one.
+ * @param {Element} block - The block element
+ */
+function addBundleSection(block) {
+  if (document.querySelector('main .bundle')) return;
+  const section = document.createElement('div');
+  section.className = 'product-bundle';
+  const bundle = buildBlock('bundle', '');
+  bundle.classList.add('compact');
+  section.append(bundle);
+  block.querySelector('.product-info').append(section);
+  decorateBlock(bundle);
+  loadBlock(bundle);
+}
+
+/**
+ * Switches the page to another size/colour variant
+ * Updates the buy box, sticky header and gallery, and pushes the variant URL.
+ * @param {Element} block - The block element
+ * @param {Object} product - Current product
+ * @param {Object} options - Changed options ({ size } or { colour })
+ */
+async function selectVariant(block, product, options) {
+  const variant = findVariant(await getVariants(product), product, options);
+  if (!variant || variant.sku === product.sku) return;
+
+  const container = block.querySelector('.product-details-container');
+  container.dataset.requestedSku = variant.sku;
+  container.classList.add('is-updating');
+
+  const variantProduct = renderedProducts.get(variant.sku)
+    || await getVariantProduct(product, variant);
+  // only catalog SKUs get a URL of their own, so a reload or shared link still finds them
+  const inCatalog = Boolean(await getProduct(variant.sku).catch(() => null));
+
+  // a later selection won the race
+  if (container.dataset.requestedSku !== variant.sku) return;
+
+  if (inCatalog) {
+    const url = new URL(window.location.href);
+    url.pathname = url.pathname.replace(/[^/]+\/?$/, variant.sku);
+    window.history.pushState({ sku: variant.sku }, '', url);
+  }
+  renderProduct(block, variantProduct);
+}
+
+function initEventListeners(block, product) {
+  // Size and colour selectors switch to the matching variant; sizes the
+  // catalog has no variant for can't be picked
+  getVariants(product).then((variants) => {
+    block.querySelectorAll('.size-btn').forEach((btn) => {
+      btn.disabled = !btn.classList.contains('selected')
+        && !variants.some((v) => v.size === btn.dataset.size);
+    });
+  });
   block.querySelectorAll('.size-btn').forEach((btn) => {
     btn.addEventListener('click', () => {
       block.querySelectorAll('.size-btn').forEach((b) => b.classList.remove('selected'));
       btn.classList.add('selected');
+      selectVariant(block, product, { size: btn.dataset.size });
     });
   });
 
+  block.querySelectorAll('.colour-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      block.querySelectorAll('.colour-btn').forEach((b) => b.classList.remove('selected'));
+      btn.classList.add('selected');
+      selectVariant(block, product, { colour: btn.dataset.colour });
+    });
+  });
+
+  // Energy class badge opens the full label
+  const energyBadge = block.querySelector('.product-sheet .energy-badge');
+  if (energyBadge) {
+    energyBadge.addEventListener('click', () => openEnergyLabel(product));
+  }
+
+  // Rating summary jumps to the reviews block, "SHARE YOUR THOUGHTS!" opens its form
+  const reviewsBlock = document.querySelector('.reviews');
+  block.querySelector('.product-rating').addEventListener('click', (e) => {
+    if (!reviewsBlock) return;
+    e.preventDefault();
+    reviewsBlock.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  });
+
+  const shareThoughtsBtn = block.querySelector('.share-thoughts-btn');
+  if (shareThoughtsBtn) {
+    shareThoughtsBtn.hidden = !reviewsBlock;
+    shareThoughtsBtn.addEventListener('click', requestReviewForm);
+  }
+
   // More button for key features
   const moreBtn = block.querySelector('.more-btn');
   if (moreBtn) {
@@ -266,45 +535,133 @@ function initEventListeners(block) {
     });
   }
 
-  // Buy now button
+  // Buy now button - adds the product in the selected size and payment plan
+  // to the cart, with the valued trade-up device taken off the line
   const buyNowBtn = block.querySelector('.buy-now-btn');
   if (buyNowBtn) {
-    // eslint-disable-next-line no-alert
-    buyNowBtn.addEventListener('click', () => alert('Added to cart!'));
+    buyNowBtn.addEventListener('click', async () => {
+      const selectedSize = block.querySelector('.size-btn.selected')?.dataset.size;
+      const plan = getSelectedPlan();
+      // the trade-up rules may fail to load; the item still goes in, at full price
+      const tradeUp = hasTradeUp(product) && plan?.type !== 'subscription'
+        ? await getTradeUpAdjustment(product).catch((error) => {
+          // eslint-disable-next-line no-console
+          console.warn('Trade-up discount is unavailable:', error);
+          return null;
+        })
+        : null;
+      addToCart({
+        sku: product.sku,
+        name: product.shortName || product.name,
+        size: selectedSize || product.selectedSize,
+        price: product.price,
+        memberPrice: product.memberPrice,
+        currency: product.currency,
+        image: product.galleryImages?.[0]?.src,
+        url: window.location.pathname,
+        adjustments: tradeUp ? [tradeUp] : [],
+        plan: plan && {
+          id: plan.id,
+          type: plan.type,
+          name: plan.name,
+          term: plan.term,
+          apr: plan.apr,
+          rate: plan.rate,
+        },
+      });
+      // one old device per order line
+      if (tradeUp) saveTradeUp(null);
+    });
+  }
+
+  decorateDeliveryChecker(block, product);
+
+  // Buying outright, on finance or on subscription changes the sticky price and Buy Now
+  decoratePurchaseOptions(block, product, (plan) => {
+    // trade-up only applies to products that are bought
+    block.querySelector('.product-details-container').classList.toggle('is-subscription', plan?.type === 'subscription');
+    const prices = block.querySelector('.sticky-prices');
+    if (prices) prices.outerHTML = createStickyPrices(product);
+    if (buyNowBtn && !buyNowBtn.disabled) buyNowBtn.textContent = getBuyLabel(product);
+  }, { tradeUp: hasTradeUp(product) });
+  decorateTradeUpCalculator(block.querySelector('.trade-up-calculator'), product);
+
+  // Add to compare - toggles the product in the persistent compare tray
+  const compareBtn = block.querySelector('.compare-btn');
+  const compareMessage = block.querySelector('.compare-message');
+  if (compareBtn) {
+    decorateCompareTray();
+    compareBtn.addEventListener('click', () => {
+      compareMessage.hidden = true;
+      if (isInCompare(product.sku)) {
+        removeFromCompare(product.sku);
+      } else if (!addToCompare({
+        sku: product.sku,
+        name: product.shortName || product.name,
+        image: product.galleryImages?.[0]?.src,
+      })) {
+        compareMessage.textContent = getPlaceholderText(placeholders, 'compareLimit', 'You can compare up to {count} products. Remove one to add this product.', { count: MAX_COMPARE_ITEMS });
+        compareMessage.hidden = false;
+      }
+    });
   }
 
   // Gallery thumbnail carousel
-  const thumbnails = block.querySelectorAll('.thumbnail');
+  const thumbnails = [...block.querySelectorAll('.thumbnail')];
+  const mainImageContainer = block.querySelector('.gallery-image');
   const mainImage = block.querySelector('.gallery-image img');
   const thumbnailsContainer = block.querySelector('.gallery-thumbnails');
   const prevBtn = block.querySelector('.carousel-prev');
   const nextBtn = block.querySelector('.carousel-next');
+  const images = product.galleryImages || [];
+  let currentIndex = 0;
+
+  // Show an image in the main view and select its thumbnail
+  const showImage = (index) => {
+    if (!images.length) return;
+    currentIndex = (index + images.length) % images.length;
+    thumbnails.forEach((t, i) => t.classList.toggle('selected', i === currentIndex));
+    if (mainImage) {
+      mainImage.src = images[currentIndex].src;
+      mainImage.alt = images[currentIndex].alt || product.name;
+    }
+    const thumb = thumbnails[currentIndex];
+    if (thumb && thumbnailsContainer) {
+      const left = thumb.offsetLeft - thumbnailsContainer.offsetLeft;
+      const right = left + thumb.offsetWidth;
+      if (left < thumbnailsContainer.scrollLeft
+        || right > thumbnailsContainer.scrollLeft + thumbnailsContainer.clientWidth) {
+        thumbnailsContainer.scroll({ left, behavior: 'smooth' });
+      }
+    }
+  };
 
   // Thumbnail click handler
   thumbnails.forEach((thumb) => {
-    thumb.addEventListener('click', () => {
-      thumbnails.forEach((t) => t.classList.remove('selected'));
-      thumb.classList.add('selected');
-      const thumbImg = thumb.querySelector('img');
-      if (thumbImg && mainImage) {
-        mainImage.src = thumbImg.src;
-        mainImage.alt = thumbImg.alt;
+    thumb.addEventListener('click', () => showImage(Number(thumb.dataset.index)));
+  });
+
+  // Main image opens the full-screen viewer; swipe changes image without opening it
+  if (mainImageContainer && images.length) {
+    const openViewer = () => openGalleryViewer(images, currentIndex, { onChange: showImage });
+    mainImageContainer.addEventListener('click', openViewer);
+    mainImageContainer.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openViewer();
       }
     });
-  });
+    addSwipeListener(mainImageContainer, (direction) => showImage(currentIndex + direction));
+  }
 
-  // Carousel navigation - scroll by one thumbnail (85px width + 10px gap)
-  const scrollAmount = 95;
-  
+  // Carousel navigation - scroll by one thumbnail (thumbnail width + gap)
   const scrollCarousel = (direction) => {
-    if (!thumbnailsContainer) return;
-    const currentScroll = thumbnailsContainer.scrollLeft;
-    const newScroll = direction === 'left' 
-      ? currentScroll - scrollAmount 
-      : currentScroll + scrollAmount;
+    if (!thumbnailsContainer || !thumbnails.length) return;
+    const gap = parseFloat(getComputedStyle(thumbnailsContainer).columnGap) || 0;
+    const scrollAmount = thumbnails[0].offsetWidth + gap;
     thumbnailsContainer.scroll({
-      left: newScroll,
-      behavior: 'smooth'
+      left: thumbnailsContainer.scrollLeft + (direction === 'left' ? -scrollAmount : scrollAmount),
+      behavior: 'smooth',
     });
   };
 
@@ -314,7 +671,7 @@ function initEventListeners(block) {
       scrollCarousel('left');
     };
   }
-  
+
   if (nextBtn) {
     nextBtn.onclick = (e) => {
       e.preventDefault();
@@ -330,6 +687,7 @@ function initEventListeners(block) {
 export default async function decorate(block) {
   // Get SKU from URL path
   const sku = getSkuFromUrl();
+  const embeddedProduct = getEmbeddedProduct(sku, block);
 
   // Show loading state
   block.textContent = '';
@@ -338,15 +696,49 @@ export default async function decorate(block) {
   container.dataset.sku = sku;
   container.innerHTML = '<div class="product-loading">Loading product information...</div>';
   block.appendChild(container);
+  placeholders = await getPlaceholders();
 
   try {
-    // Fetch product data from API
-    const product = await getProductData(sku);
+    // Use the data embedded in the page, otherwise fetch it from the API
+    const product = embeddedProduct || await getProductData(sku);
+    if (!product) {
+      await renderNotFound(container, sku);
+      return;
+    }
 
     // Build UI with fetched data
-    container.innerHTML = createStickyHeader(product) + createProductContent(product);
-    
-    initEventListeners(block);
+    renderProduct(block, product);
+    addBundleSection(block);
+
+    // Reflect compare tray changes (including other tabs) on the compare control
+    onCompareChange(() => {
+      const compareBtn = block.querySelector('.compare-btn');
+      if (compareBtn) compareBtn.setAttribute('aria-pressed', isInCompare(container.dataset.sku));
+    });
+
+    // Logged-out shoppers can sign in to unlock the member price
+    block.addEventListener('click', (e) => {
+      if (e.target.closest('.member-unlock')) requestSignIn();
+    });
+
+    // Member prices apply as soon as the shopper signs in
+    onAuthChange(() => {
+      const prices = block.querySelector('.sticky-prices');
+      const current = renderedProducts.get(container.dataset.sku);
+      if (prices && current) prices.outerHTML = createStickyPrices(current);
+    });
+
+    // Restore the variant in the URL on back/forward
+    window.addEventListener('popstate', async () => {
+      const stateSku = getSkuFromUrl();
+      if (stateSku === container.dataset.sku) return;
+      container.dataset.requestedSku = stateSku;
+      const stateProduct = renderedProducts.get(stateSku)
+        || await getProductData(stateSku).catch(() => null);
+      if (stateProduct && container.dataset.requestedSku === stateSku) {
+        renderProduct(block, stateProduct);
+      }
+    });
   } catch (error) {
     console.error('Error loading product:', error);
     // Show error state or fallback
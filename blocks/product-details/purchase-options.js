@@ -0,0 +1,234 @@
+/**
+ * Purchase Options
+ * "Buy outright", "Finance" and "Subscribe" switch in the buy box, with the
+ * finance calculator and the subscription terms. The choice is kept across
+ * variant switches and read by the sticky header and Buy Now button.
+ * Finance is worked out on the price less any trade-up value, as the cart
+ * takes the trade-up off before the plan applies.
+ */
+
+import { isMember, onAuthChange } from '../../scripts/auth.js';
+import {
+  getFinancePlans,
+  getFinanceRepayments,
+  getMonthlyPayment,
+  getPlansForPrice,
+} from '../../scripts/finance.js';
+import { formatPrice, getActivePrice } from '../../scripts/pricing.js';
+import { getTradeUpAdjustment, onTradeUpChange } from '../../scripts/trade-up.js';
+
+const PURCHASE_TYPES = [
+  { type: 'outright', label: 'Buy outright' },
+  { type: 'finance', label: 'Finance' },
+  { type: 'subscription', label: 'Subscribe' },
+];
+
+// the shopper's choice, kept across variant switches
+let selection = { type: 'outright', planId: '' };
+let selectedPlan = null;
+// trade-up value of the shopper's old device against the current product
+let tradeUpCredit = 0;
+
+/**
+ * Gets the plan the shopper picked
+ * @returns {Object|null} Finance or subscription plan, null when buying outright
+ */
+export function getSelectedPlan() {
+  return selectedPlan;
+}
+
+/**
+ * Gets the amount a plan is worked out on
+ * Finance covers the price less the trade-up value; subscriptions, which
+ * take no trade-up, cover the full price.
+ * @param {number} price - Cash price
+ * @param {Object} plan - Finance or subscription plan
+ * @returns {number} Amount
+ */
+export function getPlanAmount(price, plan) {
+  return plan.type === 'finance' ? Math.max(price - tradeUpCredit, 0) : price;
+}
+
+/**
+ * Create the purchase options placeholder, filled once the plans are loaded
+ * @param {Object} product - Product
+ * @returns {string} HTML string, empty when the product cannot be ordered
+ */
+export function createPurchaseOptionsHTML(product) {
+  if (product.availability === 'out-of-stock') return '';
+  return '<div class="purchase-options" hidden></div>';
+}
+
+/**
+ * Create the finance calculator HTML
+ * @param {number} price - Cash price
+ * @param {Object} plan - Selected finance plan
+ * @param {Object} money - Formatting options ({ currency })
+ * @returns {string} HTML string
+ */
+function createFinanceHTML(price, plan, money) {
+  const credit = getPlanAmount(price, plan);
+  const { monthly, totalPayable, interestRate } = getFinanceRepayments(credit, plan);
+  const tradeUpNote = credit < price ? `, Trade-Up ${formatPrice(price - credit, money)}` : '';
+  return `
+    <dl class="finance-summary">
+      <dt>Monthly payment</dt>
+      <dd class="finance-monthly">${formatPrice(monthly, money)}</dd>
+      <dt>Term</dt>
+      <dd>${plan.term} months</dd>
+      <dt>Representative APR</dt>
+      <dd>${plan.apr}% APR</dd>
+      <dt>Total payable</dt>
+      <dd>${formatPrice(totalPayable, money)}</dd>
+    </dl>
+    <p class="finance-example">
+      Representative example: cash price ${formatPrice(price, money)}, no deposit${tradeUpNote}.
+      Amount of credit ${formatPrice(credit, money)} over ${plan.term} months at
+      ${interestRate}% fixed interest rate, ${plan.apr}% APR representative.
+      ${plan.term} monthly payments of ${formatPrice(monthly, money)}.
+      Total amount payable ${formatPrice(totalPayable, money)}.
+      ${plan.name ? `${plan.name} is subject to status.` : 'Subject to status.'}
+    </p>
+  `;
+}
+
+/**
+ * Renders the purchase options for the product price
+ * @param {Element} container - The purchase options element
+ * @param {Array<Object>} plans - All plans
+ * @param {Object} product - Product
+ * @returns {boolean} True when finance or subscription is offered
+ */
+function renderPurchaseOptions(container, plans, product) {
+  const money = { currency: product.currency };
+  const price = getActivePrice(product, isMember());
+  const offered = {
+    outright: [],
+    finance: getPlansForPrice(plans, price, 'finance'),
+    subscription: getPlansForPrice(plans, price, 'subscription'),
+  };
+  const types = PURCHASE_TYPES.filter(({ type }) => type === 'outright' || offered[type].length);
+
+  // fall back when the choice isn't offered for this price
+  if (!types.some(({ type }) => type === selection.type)) selection = { type: 'outright', planId: '' };
+  const terms = offered[selection.type];
+  // default to the longest term, which has the lowest monthly payment
+  selectedPlan = terms.find((plan) => plan.id === selection.planId)
+    || terms[terms.length - 1]
+    || null;
+  if (types.length < 2) return false;
+
+  const from = (type) => {
+    const lowest = Math.min(...offered[type].map((plan) => (
+      getMonthlyPayment(getPlanAmount(price, plan), plan))));
+    return `from ${formatPrice(lowest, money)}/month`;
+  };
+
+  container.innerHTML = `
+    <fieldset class="purchase-types">
+      <legend>How would you like to pay?</legend>
+      ${types.map(({ type, label }) => `
+        <label class="purchase-type">
+          <input type="radio" name="purchase-type" value="${type}" ${type === selection.type ? 'checked' : ''}>
+          <span class="purchase-type-label">${label}</span>
+          <span class="purchase-type-price">${type === 'outright' ? formatPrice(price, money) : from(type)}</span>
+        </label>
+      `).join('')}
+    </fieldset>
+    ${selectedPlan ? `
+      <div class="purchase-plan purchase-plan-${selectedPlan.type}">
+        <fieldset class="purchase-terms">
+          <legend>${selectedPlan.name || 'Choose your term'}</legend>
+          ${terms.map((plan) => `
+            <label class="purchase-term">
+              <input type="radio" name="purchase-term" value="${plan.id}" ${plan === selectedPlan ? 'checked' : ''}>
+              <span class="purchase-term-length">${plan.term} months</span>
+              <span class="purchase-term-price">${formatPrice(getMonthlyPayment(getPlanAmount(price, plan), plan), money)}/month</span>
+              ${plan.type === 'finance' ? `<span class="purchase-term-apr">${plan.apr}% APR</span>` : ''}
+            </label>
+          `).join('')}
+        </fieldset>
+        ${selectedPlan.type === 'finance'
+    ? createFinanceHTML(price, selectedPlan, money)
+    : '<p class="subscription-note">Pay monthly and upgrade, keep or return your product at the end of your term.</p>'}
+      </div>
+    ` : ''}
+  `;
+  return true;
+}
+
+/**
+ * Looks up the trade-up value of the shopper's old device against a product
+ * @param {Object} product - Product
+ * @param {boolean} tradeUp - Whether the product takes a trade-up
+ * @returns {Promise<number>} Value, 0 without a valued device or when the rules fail to load
+ */
+async function getTradeUpCredit(product, tradeUp) {
+  if (!tradeUp) return 0;
+  const adjustment = await getTradeUpAdjustment(product).catch(() => null);
+  return adjustment?.amount || 0;
+}
+
+/**
+ * Loads the plans and wires up the purchase options in the buy box
+ * @param {Element} block - The block element
+ * @param {Object} product - Product
+ * @param {Function} onChange - Called with the selected plan, or null for outright
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.tradeUp] - Whether the product takes a trade-up
+ */
+export default async function decoratePurchaseOptions(block, product, onChange, {
+  tradeUp = false,
+} = {}) {
+  const container = block.querySelector('.purchase-options');
+  selectedPlan = null;
+  tradeUpCredit = 0;
+  if (!container) return;
+
+  let plans = [];
+  try {
+    [plans, tradeUpCredit] = await Promise.all([
+      getFinancePlans(),
+      getTradeUpCredit(product, tradeUp),
+    ]);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to load finance plans:', error);
+  }
+  // the buy box was re-rendered while loading
+  if (!container.isConnected) return;
+
+  const render = () => {
+    container.hidden = !renderPurchaseOptions(container, plans, product);
+    onChange(selectedPlan);
+  };
+
+  container.addEventListener('change', (e) => {
+    if (e.target.name === 'purchase-type') selection = { type: e.target.value, planId: '' };
+    if (e.target.name === 'purchase-term') selection = { ...selection, planId: e.target.value };
+    render();
+    container.querySelector(`input[value="${e.target.value}"]`)?.focus();
+  });
+
+  // monthly payments follow the member price and the trade-up value
+  const unsubscribe = onAuthChange(async () => {
+    const credit = await getTradeUpCredit(product, tradeUp);
+    if (!container.isConnected) {
+      unsubscribe();
+      return;
+    }
+    tradeUpCredit = credit;
+    render();
+  });
+  const unsubscribeTradeUp = onTradeUpChange(async () => {
+    const credit = await getTradeUpCredit(product, tradeUp);
+    if (!container.isConnected) {
+      unsubscribeTradeUp();
+      return;
+    }
+    tradeUpCredit = credit;
+    render();
+  });
+
+  render();
+}
@@ -0,0 +1,160 @@
+/**
+ * Product list facets
+ * Works out the filter options of a set of products and applies the
+ * selected filters. Filters are kept in the URL query string as
+ * comma-separated values, e.g. ?size=55,65&feature=dolby-atmos
+ */
+
+import { toClassName } from '../../scripts/aem.js';
+import { flattenSpecs } from '../../scripts/catalog.js';
+import { getPageLocale } from '../../scripts/locale.js';
+
+// key is the placeholder that translates the label
+export const FACETS = [
+  { name: 'size', key: 'screenSize', label: 'Screen size' },
+  { name: 'series', key: 'series', label: 'Series' },
+  { name: 'price', key: 'price', label: 'Price' },
+  { name: 'feature', key: 'features', label: 'Features' },
+];
+
+export const PRICE_RANGES = [
+  { value: '0-500', min: 0, max: 500 },
+  { value: '500-1000', min: 500, max: 1000 },
+  { value: '1000-2000', min: 1000, max: 2000 },
+  { value: '2000-', min: 2000, max: Infinity },
+];
+
+/**
+ * Strips the locale prefix and trailing slash from a path, so paths on every
+ * country site compare equal to the unprefixed paths in the catalog
+ * '/de/tv-and-soundbars/' → '/tv-and-soundbars'
+ * @param {string} path - Path
+ * @returns {string} Path without its prefix, empty for a home page
+ */
+function toSitePath(path) {
+  return path.slice(getPageLocale(path).prefix.length).replace(/\/$/, '');
+}
+
+/**
+ * Checks whether a product belongs to a listing page
+ * Uses the product's category path, then its breadcrumb trail. Products
+ * with neither are not listed on category pages.
+ * @param {Object} product - Product
+ * @param {string} category - Listing page path
+ * @returns {boolean} True when the product is listed on the page
+ */
+export function isInCategory(product, category) {
+  const path = toSitePath(category);
+  if (!path) return true;
+  const within = (url) => url === path || url.startsWith(`${path}/`);
+  if (product.category) return within(toSitePath(product.category));
+  return (product.breadcrumb || []).some((item) => item.url && within(toSitePath(item.url)));
+}
+
+/**
+ * Gets the facet values of a product
+ * @param {Object} product - Product
+ * @returns {Object} Options by facet name, each an array of { value, label }
+ */
+export function getProductFacets(product) {
+  const specs = flattenSpecs(product.specs);
+  const sizes = product.selectedSize ? [product.selectedSize] : product.sizes;
+  const series = product.series
+    || [...specs].find(([label]) => /\bseries\b/i.test(label))?.[1]
+    || '';
+  const range = PRICE_RANGES.find(({ min, max }) => product.price >= min && product.price < max);
+  // "Yes" specs are features, named after the part of the label after the group
+  const features = [...specs]
+    .filter(([, value]) => /^yes$/i.test(String(value).trim()))
+    .map(([label]) => label.split(' - ').pop().trim());
+
+  return {
+    size: sizes.map((size) => ({ value: size.replace(/\D/g, ''), label: size })),
+    series: series ? [{ value: toClassName(series), label: series }] : [],
+    price: range && product.price ? [{ value: range.value, label: range.value }] : [],
+    feature: features.map((feature) => ({ value: toClassName(feature), label: feature })),
+  };
+}
+
+/**
+ * Checks whether a product matches the filters
+ * Options of one facet are alternatives; different facets must all match.
+ * @param {Object} facets - The product's facet values
+ * @param {Object} filters - Selected values by facet name
+ * @param {string} [ignore] - Facet to leave out, used for option counts
+ * @returns {boolean} True when the product matches
+ */
+function matches(facets, filters, ignore) {
+  return Object.entries(filters).every(([name, values]) => name === ignore
+    || !values.length
+    || facets[name]?.some((option) => values.includes(option.value)));
+}
+
+/**
+ * Applies the filters
+ * @param {Array<Object>} entries - Products with their facets ({ product, facets })
+ * @param {Object} filters - Selected values by facet name
+ * @returns {Array<Object>} Matching entries
+ */
+export function filterEntries(entries, filters) {
+  return entries.filter((entry) => matches(entry.facets, filters));
+}
+
+/**
+ * Builds the filter options with the number of products each would show
+ * @param {Array<Object>} entries - Products with their facets ({ product, facets })
+ * @param {Object} filters - Selected values by facet name
+ * @returns {Array<Object>} Facets
+ * ({ name, key, label, options: [{ value, label, count, selected }] })
+ */
+export function buildFacets(entries, filters) {
+  return FACETS.map(({ name, key, label }) => {
+    const options = new Map();
+    entries.forEach((entry) => entry.facets[name].forEach((option) => {
+      if (!options.has(option.value)) options.set(option.value, { ...option, count: 0 });
+    }));
+    // counts take the other facets' filters into account
+    entries
+      .filter((entry) => matches(entry.facets, filters, name))
+      .forEach((entry) => entry.facets[name].forEach((option) => {
+        options.get(option.value).count += 1;
+      }));
+
+    const order = name === 'price'
+      ? (a, b) => PRICE_RANGES.findIndex((r) => r.value === a.value)
+        - PRICE_RANGES.findIndex((r) => r.value === b.value)
+      : (a, b) => (Number(a.value) - Number(b.value)) || a.label.localeCompare(b.label);
+    return {
+      name,
+      key,
+      label,
+      options: [...options.values()]
+        .map((option) => ({ ...option, selected: (filters[name] || []).includes(option.value) }))
+        .sort(order),
+    };
+  }).filter((facet) => facet.options.length > 1 || facet.options.some((option) => option.selected));
+}
+
+/**
+ * Reads the filters from the query string
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} Selected values by facet name
+ */
+export function readFilters(params) {
+  return Object.fromEntries(FACETS.map(({ name }) => [
+    name,
+    (params.get(name) || '').split(',').map((value) => value.trim()).filter(Boolean),
+  ]));
+}
+
+/**
+ * Writes the filters to the query string
+ * @param {URLSearchParams} params - Query parameters to update
+ * @param {Object} filters - Selected values by facet name
+ */
+export function writeFilters(params, filters) {
+  FACETS.forEach(({ name }) => {
+    if (filters[name]?.length) params.set(name, filters[name].join(','));
+    else params.delete(name);
+  });
+}
@@ -0,0 +1,343 @@
+/**
+ * Product List Block - Category listing with filters, sorting and paging
+ *
+ * Document Structure (in Word/Google Docs), all rows optional:
+ * | product-list |                             |
+ * | category     | /tv-and-soundbars/oled-evo  |
+ * | source       | /tv-and-soundbars/query-index.json |
+ * | page-size    | 12                          |
+ * | pagination   | pages                       |
+ *
+ * Without a category the page path is used. Without a source the products
+ * come from the catalog. Paging uses a "Load more" button unless pagination
+ * is set to `pages`. Filters, sort order and page live in the query string,
+ * so filtered views can be shared and bookmarked.
+ */
+
+import { readBlockConfig } from '../../scripts/aem.js';
+import { isMember, onAuthChange } from '../../scripts/auth.js';
+import { getProducts, getProductsFrom } from '../../scripts/catalog.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { getLocalePath, getPlaceholderText, getPlaceholders } from '../../scripts/locale.js';
+import { formatPrice, formatPriceRange, getActivePrice } from '../../scripts/pricing.js';
+import {
+  FACETS,
+  PRICE_RANGES,
+  buildFacets,
+  filterEntries,
+  getProductFacets,
+  isInCategory,
+  readFilters,
+  writeFilters,
+} from './facets.js';
+
+const DEFAULT_PAGE_SIZE = 12;
+
+// key is the placeholder that translates the label
+const SORT_OPTIONS = {
+  featured: { key: 'sortFeatured', label: 'Featured', compare: () => 0 },
+  'price-asc': { key: 'sortPriceAsc', label: 'Price: low to high', compare: (a, b) => a.price - b.price },
+  'price-desc': { key: 'sortPriceDesc', label: 'Price: high to low', compare: (a, b) => b.price - a.price },
+  rating: { key: 'sortRating', label: 'Top rated', compare: (a, b) => b.rating - a.rating || b.reviewCount - a.reviewCount },
+  name: { key: 'sortName', label: 'Name', compare: (a, b) => a.name.localeCompare(b.name) },
+};
+
+/**
+ * Formats the label of a price range option
+ * @param {string} value - Range value, e.g. '500-1000'
+ * @param {Object} money - Formatting options ({ currency })
+ * @param {Object<string, string>} placeholders - Placeholders of the country site
+ * @returns {string} Label, e.g. '£500.00 – £1,000.00'
+ */
+function formatRangeLabel(value, money, placeholders) {
+  const range = PRICE_RANGES.find((r) => r.value === value);
+  if (!range.min) {
+    return getPlaceholderText(placeholders, 'priceUnder', 'Under {price}', { price: formatPrice(range.max, money) });
+  }
+  if (range.max === Infinity) {
+    return getPlaceholderText(placeholders, 'priceAndOver', '{price} and over', { price: formatPrice(range.min, money) });
+  }
+  return formatPriceRange(range.min, range.max, money);
+}
+
+/**
+ * Create HTML for one product card
+ * @param {Object} product - Product
+ * @param {Object<string, string>} placeholders - Placeholders of the country site
+ * @returns {string} HTML string
+ */
+function createCardHTML(product, placeholders) {
+  const money = { currency: product.currency };
+  const price = getActivePrice(product, isMember());
+  const wasPrice = Math.max(product.originalPrice, product.price);
+  const url = escapeHtml(getLocalePath(`/products/${product.sku}`));
+  return `
+    <li class="product-list-card">
+      <a class="product-list-card-image" href="${url}" tabindex="-1" aria-hidden="true">
+        <img class="product-list-card-img" src="${escapeHtml(product.galleryImages?.[0]?.src || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+      </a>
+      ${product.badge ? `<span class="product-list-card-badge">${escapeHtml(product.badge)}</span>` : ''}
+      <a class="product-list-card-name" href="${url}">${escapeHtml(product.shortName || product.name)}</a>
+      <span class="product-list-card-sku">${escapeHtml(product.sku)}</span>
+      ${product.rating ? `
+        <span class="product-list-card-rating" aria-label="${getPlaceholderText(placeholders, 'ratedOutOf5', 'Rated {rating} out of 5', { rating: product.rating })}">
+          ★ ${product.rating}${product.reviewCount ? ` (${product.reviewCount})` : ''}
+        </span>
+      ` : ''}
+      <span class="product-list-card-price">
+        ${formatPrice(price, money)}
+        ${wasPrice > price ? `<span class="product-list-card-was">${formatPrice(wasPrice, money)}</span>` : ''}
+      </span>
+      ${price < product.price ? `<span class="product-list-card-member">${getPlaceholderText(placeholders, 'memberPrice', 'Member price')}</span>` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Create the filter panel HTML
+ * @param {Array<Object>} facets - Facets with options
+ * @param {Object} money - Formatting options ({ currency })
+ * @param {Object<string, string>} placeholders - Placeholders of the country site
+ * @returns {string} HTML string
+ */
+function createFiltersHTML(facets, money, placeholders) {
+  return facets.map((facet) => `
+    <details class="product-list-facet" open>
+      <summary>${getPlaceholderText(placeholders, facet.key, facet.label)}</summary>
+      <ul class="product-list-options">
+        ${facet.options.map((option) => `
+          <li>
+            <label class="product-list-option">
+              <input type="checkbox" name="${facet.name}" value="${option.value}"
+                ${option.selected ? 'checked' : ''} ${option.count || option.selected ? '' : 'disabled'}>
+              <span class="product-list-option-label">${facet.name === 'price' ? formatRangeLabel(option.value, money, placeholders) : option.label}</span>
+              <span class="product-list-option-count">${option.count}</span>
+            </label>
+          </li>
+        `).join('')}
+      </ul>
+    </details>
+  `).join('');
+}
+
+/**
+ * Create the active filter chips
+ * @param {Array<Object>} facets - Facets with options
+ * @param {Object} money - Formatting options ({ currency })
+ * @param {Object<string, string>} placeholders - Placeholders of the country site
+ * @returns {string} HTML string
+ */
+function createChipsHTML(facets, money, placeholders) {
+  const selected = facets.flatMap((facet) => facet.options
+    .filter((option) => option.selected)
+    .map((option) => ({ ...option, facet: facet.name })));
+  if (!selected.length) return '';
+  return `
+    ${selected.map((option) => `
+      <button type="button" class="product-list-chip" data-facet="${option.facet}" data-value="${option.value}">
+        ${option.facet === 'price' ? formatRangeLabel(option.value, money, placeholders) : option.label}
+        <span class="product-list-chip-remove" aria-label="${getPlaceholderText(placeholders, 'removeFilter', 'Remove filter')}">×</span>
+      </button>
+    `).join('')}
+    <button type="button" class="product-list-clear">${getPlaceholderText(placeholders, 'clearAll', 'Clear all')}</button>
+  `;
+}
+
+/**
+ * Create the page links for numbered pagination
+ * @param {number} page - Current page
+ * @param {number} pages - Number of pages
+ * @returns {string} HTML string
+ */
+function createPagesHTML(page, pages) {
+  if (pages < 2) return '';
+  return Array.from({ length: pages }, (_, i) => i + 1).map((n) => `
+    <button type="button" class="product-list-page" data-page="${n}" ${n === page ? 'aria-current="page"' : ''}>${n}</button>
+  `).join('');
+}
+
+/**
+ * Renders the listing for the current state
+ * @param {HTMLElement} block - The block element
+ * @param {Object} state - Block state
+ */
+function render(block, state) {
+  const {
+    entries,
+    filters,
+    options,
+    placeholders,
+  } = state;
+  const money = { currency: entries[0]?.product.currency };
+  const matching = filterEntries(entries, filters)
+    .map((entry) => entry.product)
+    .sort(SORT_OPTIONS[state.sort].compare);
+  const pages = Math.max(Math.ceil(matching.length / options.pageSize), 1);
+  state.page = Math.min(state.page, pages);
+
+  const start = options.pagination === 'pages' ? (state.page - 1) * options.pageSize : 0;
+  const shown = matching.slice(start, state.page * options.pageSize);
+  const facets = buildFacets(entries, filters);
+
+  block.querySelector('.product-list-filters-body').innerHTML = createFiltersHTML(facets, money, placeholders);
+  block.querySelector('.product-list-chips').innerHTML = createChipsHTML(facets, money, placeholders);
+  block.querySelector('.product-list-count').textContent = matching.length === 1
+    ? getPlaceholderText(placeholders, 'oneProduct', '1 product')
+    : getPlaceholderText(placeholders, 'productCount', '{count} products', { count: matching.length });
+  block.querySelector('.product-list-sort select').value = state.sort;
+  block.querySelector('.product-list-grid').innerHTML = shown.length
+    ? shown.map((product) => createCardHTML(product, placeholders)).join('')
+    : `<li class="product-list-empty">${getPlaceholderText(placeholders, 'noMatchingProducts', 'No products match these filters.')}</li>`;
+
+  const more = block.querySelector('.product-list-more');
+  more.hidden = options.pagination === 'pages' || shown.length >= matching.length;
+  more.textContent = getPlaceholderText(placeholders, 'loadMore', 'Load more ({count} more)', { count: matching.length - shown.length });
+  block.querySelector('.product-list-pages').innerHTML = options.pagination === 'pages'
+    ? createPagesHTML(state.page, pages)
+    : '';
+}
+
+/**
+ * Writes the state to the query string
+ * @param {Object} state - Block state
+ */
+function updateUrl(state) {
+  const url = new URL(window.location.href);
+  writeFilters(url.searchParams, state.filters);
+  if (state.sort !== 'featured') url.searchParams.set('sort', state.sort);
+  else url.searchParams.delete('sort');
+  if (state.page > 1) url.searchParams.set('page', state.page);
+  else url.searchParams.delete('page');
+  if (url.href !== window.location.href) window.history.pushState({ productList: true }, '', url);
+}
+
+/**
+ * Reads the state from the query string
+ * @param {Object} state - Block state to update
+ */
+function readUrl(state) {
+  const params = new URLSearchParams(window.location.search);
+  state.filters = readFilters(params);
+  state.sort = SORT_OPTIONS[params.get('sort')] ? params.get('sort') : 'featured';
+  state.page = Math.max(Number.parseInt(params.get('page'), 10) || 1, 1);
+}
+
+/**
+ * Main decoration function
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  const placeholders = await getPlaceholders();
+  const options = {
+    category: config.category || window.location.pathname,
+    pageSize: Number(config['page-size']) || DEFAULT_PAGE_SIZE,
+    pagination: config.pagination === 'pages' ? 'pages' : 'load-more',
+  };
+  const state = {
+    options,
+    entries: [],
+    filters: {},
+    sort: 'featured',
+    page: 1,
+    placeholders,
+  };
+
+  block.innerHTML = `
+    <div class="product-list-toolbar">
+      <button type="button" class="product-list-filters-toggle" aria-expanded="false" aria-controls="product-list-filters">${getPlaceholderText(placeholders, 'filters', 'Filters')}</button>
+      <p class="product-list-count" aria-live="polite"></p>
+      <label class="product-list-sort">${getPlaceholderText(placeholders, 'sortBy', 'Sort by')}
+        <select name="sort">
+          ${Object.entries(SORT_OPTIONS).map(([value, { key, label }]) => `<option value="${value}">${getPlaceholderText(placeholders, key, label)}</option>`).join('')}
+        </select>
+      </label>
+    </div>
+    <div class="product-list-chips"></div>
+    <div class="product-list-layout">
+      <form class="product-list-filters" id="product-list-filters" aria-label="${getPlaceholderText(placeholders, 'filters', 'Filters')}">
+        <div class="product-list-filters-body"></div>
+      </form>
+      <div class="product-list-results">
+        <ul class="product-list-grid"><li class="product-list-empty">${getPlaceholderText(placeholders, 'loadingProducts', 'Loading products…')}</li></ul>
+        <button type="button" class="product-list-more" hidden></button>
+        <nav class="product-list-pages" aria-label="${getPlaceholderText(placeholders, 'productPages', 'Product pages')}"></nav>
+      </div>
+    </div>
+  `;
+
+  try {
+    const products = config.source ? await getProductsFrom(config.source) : await getProducts();
+    state.entries = products
+      .filter((product) => isInCategory(product, options.category))
+      .map((product) => ({ product, facets: getProductFacets(product) }));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to load products:', error);
+    block.querySelector('.product-list-grid').innerHTML = `<li class="product-list-empty">${getPlaceholderText(placeholders, 'productsUnavailable', 'Products are unavailable right now. Please try again later.')}</li>`;
+    return;
+  }
+
+  readUrl(state);
+  render(block, state);
+
+  block.querySelector('.product-list-filters').addEventListener('change', (e) => {
+    const { name, value, checked } = e.target;
+    if (!FACETS.some((facet) => facet.name === name)) return;
+    const values = (state.filters[name] || []).filter((v) => v !== value);
+    state.filters[name] = checked ? [...values, value] : values;
+    state.page = 1;
+    updateUrl(state);
+    render(block, state);
+    block.querySelector(`.product-list-filters input[name="${name}"][value="${value}"]`)?.focus();
+  });
+
+  block.querySelector('.product-list-sort select').addEventListener('change', (e) => {
+    state.sort = e.target.value;
+    state.page = 1;
+    updateUrl(state);
+    render(block, state);
+  });
+
+  block.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.product-list-filters-toggle');
+    if (toggle) {
+      const open = toggle.getAttribute('aria-expanded') !== 'true';
+      toggle.setAttribute('aria-expanded', open);
+      block.classList.toggle('filters-open', open);
+      return;
+    }
+
+    const chip = e.target.closest('.product-list-chip');
+    const pageBtn = e.target.closest('.product-list-page');
+    let focusIndex = -1;
+    if (chip) {
+      const { facet, value } = chip.dataset;
+      state.filters[facet] = state.filters[facet].filter((v) => v !== value);
+      state.page = 1;
+    } else if (e.target.closest('.product-list-clear')) {
+      state.filters = {};
+      state.page = 1;
+    } else if (e.target.closest('.product-list-more')) {
+      // move focus to the first newly loaded product
+      focusIndex = block.querySelectorAll('.product-list-card').length;
+      state.page += 1;
+    } else if (pageBtn) {
+      state.page = Number(pageBtn.dataset.page);
+      block.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } else {
+      return;
+    }
+    updateUrl(state);
+    render(block, state);
+    block.querySelectorAll('.product-list-card-name')[focusIndex]?.focus();
+  });
+
+  // restore filtered views on back/forward
+  window.addEventListener('popstate', () => {
+    readUrl(state);
+    render(block, state);
+  });
+
+  onAuthChange(() => render(block, state));
+}
@@ -0,0 +1,75 @@
+/**
+ * Recently Viewed Block - Horizontal strip of the products the shopper viewed last
+ *
+ * Document Structure (in Word/Google Docs), all rows optional:
+ * | recently-viewed |                 |
+ * | title           | Recently viewed |
+ * | limit           | 8               |
+ *
+ * The product on the current page is left out. The block hides itself while
+ * the history is empty. The `compact` variant is used inside the mega menu.
+ */
+
+import { readBlockConfig } from '../../scripts/aem.js';
+import {
+  getCurrentProduct,
+  getSkuFromUrl,
+  onProductChange,
+} from '../../scripts/catalog.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { formatPrice } from '../../scripts/pricing.js';
+import { getRecentlyViewed, onRecentlyViewedChange } from '../../scripts/recently-viewed.js';
+
+const DEFAULT_TITLE = 'Recently viewed';
+const DEFAULT_LIMIT = 8;
+
+/**
+ * Create HTML for one product card
+ * @param {Object} item - Viewed product
+ * @returns {string} HTML string
+ */
+function createItemHTML(item) {
+  return `
+    <li class="recently-viewed-item">
+      <a href="${escapeHtml(item.url)}">
+        <img class="recently-viewed-image" src="${escapeHtml(item.image || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+        <span class="recently-viewed-name">${escapeHtml(item.name)}</span>
+        ${item.price ? `<span class="recently-viewed-price">${formatPrice(item.price, { currency: item.currency })}</span>` : ''}
+      </a>
+    </li>
+  `;
+}
+
+/**
+ * Render the history into the block
+ * @param {HTMLElement} block - The block element
+ * @param {Object} options - Options ({ title, limit })
+ */
+function renderItems(block, { title, limit }) {
+  const items = getRecentlyViewed({
+    exclude: getCurrentProduct()?.sku || getSkuFromUrl(),
+    limit,
+  });
+
+  block.hidden = !items.length;
+  block.innerHTML = items.length ? `
+    <h2 class="recently-viewed-title">${escapeHtml(title)}</h2>
+    <ul class="recently-viewed-list">${items.map(createItemHTML).join('')}</ul>
+  ` : '';
+}
+
+/**
+ * Main decoration function
+ * @param {HTMLElement} block - The block element
+ */
+export default function decorate(block) {
+  const config = readBlockConfig(block);
+  const options = {
+    title: config.title || DEFAULT_TITLE,
+    limit: Number(config.limit) || DEFAULT_LIMIT,
+  };
+
+  renderItems(block, options);
+  onRecentlyViewedChange(() => renderItems(block, options));
+  onProductChange(() => renderItems(block, options));
+}
@@ -0,0 +1,445 @@
+/**
+ * Reviews Block - Rating summary, star histogram, review list and write-a-review form
+ *
+ * Document Structure (in Word/Google Docs), all rows optional:
+ * | reviews |           |
+ * | sku     | OLED55G54LW |
+ * | page-size | 5       |
+ *
+ * Without a SKU the block shows reviews for the product on the page and follows
+ * size/colour variant switches.
+ */
+
+import { readBlockConfig } from '../../scripts/aem.js';
+import {
+  getCurrentProduct,
+  getSkuFromUrl,
+  onProductChange,
+} from '../../scripts/catalog.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import {
+  getReviewSummary,
+  getReviews,
+  onReviewFormRequest,
+  submitReview,
+} from '../../scripts/reviews.js';
+
+const DEFAULT_PAGE_SIZE = 5;
+
+const SORT_OPTIONS = {
+  newest: { label: 'Newest', compare: (a, b) => b.date.localeCompare(a.date) },
+  oldest: { label: 'Oldest', compare: (a, b) => a.date.localeCompare(b.date) },
+  highest: { label: 'Highest rating', compare: (a, b) => b.rating - a.rating || b.date.localeCompare(a.date) },
+  lowest: { label: 'Lowest rating', compare: (a, b) => a.rating - b.rating || b.date.localeCompare(a.date) },
+  helpful: { label: 'Most helpful', compare: (a, b) => b.helpful - a.helpful || b.date.localeCompare(a.date) },
+};
+
+const TITLE_MAX_LENGTH = 100;
+const TEXT_MIN_LENGTH = 20;
+const TEXT_MAX_LENGTH = 2000;
+
+/**
+ * Create star rating HTML
+ * @param {number} rating - Rating (0-5)
+ * @returns {string} HTML string
+ */
+function createStarsHTML(rating) {
+  let html = `<span class="reviews-stars" role="img" aria-label="${rating} out of 5 stars">`;
+  for (let i = 1; i <= 5; i += 1) {
+    html += `<span class="star ${i <= Math.round(rating) ? 'star-full' : 'star-empty'}" aria-hidden="true">★</span>`;
+  }
+  return `${html}</span>`;
+}
+
+/**
+ * Formats a review date for display
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  const parsed = new Date(date);
+  if (Number.isNaN(parsed.getTime())) return '';
+  return parsed.toLocaleDateString(document.documentElement.lang || undefined, {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  });
+}
+
+/**
+ * Create the rating summary and histogram HTML
+ * @param {Object} summary - Review summary
+ * @param {number|null} ratingFilter - Active star filter
+ * @returns {string} HTML string
+ */
+function createSummaryHTML(summary, ratingFilter) {
+  const bars = [5, 4, 3, 2, 1].map((stars) => {
+    const count = summary.distribution[stars];
+    const percent = summary.count ? Math.round((count / summary.count) * 100) : 0;
+    return `
+      <li>
+        <button type="button" class="reviews-histogram-bar" data-rating="${stars}"
+          aria-pressed="${ratingFilter === stars}" ${count ? '' : 'disabled'}
+          aria-label="Show ${stars}-star reviews (${count})">
+          <span class="reviews-histogram-label">${stars} ★</span>
+          <span class="reviews-histogram-track"><span class="reviews-histogram-fill" style="width: ${percent}%"></span></span>
+          <span class="reviews-histogram-count">${count}</span>
+        </button>
+      </li>
+    `;
+  }).join('');
+
+  return `
+    <div class="reviews-average">
+      <span class="reviews-average-value">${summary.average.toFixed(1)}</span>
+      ${createStarsHTML(summary.average)}
+      <span class="reviews-average-count">Based on ${summary.count} ${summary.count === 1 ? 'review' : 'reviews'}</span>
+      ${summary.count ? `<span class="reviews-recommend">${summary.recommendPercentage}% of reviewers recommend this product</span>` : ''}
+    </div>
+    <ul class="reviews-histogram">${bars}</ul>
+    <button type="button" class="reviews-write-btn">Write a review</button>
+  `;
+}
+
+/**
+ * Create HTML for one review
+ * @param {Object} review - Review
+ * @returns {string} HTML string
+ */
+function createReviewHTML(review) {
+  return `
+    <li class="reviews-item">
+      <div class="reviews-item-header">
+        ${createStarsHTML(review.rating)}
+        <h3 class="reviews-item-title">${escapeHtml(review.title)}</h3>
+      </div>
+      <p class="reviews-item-meta">
+        <span class="reviews-item-author">${escapeHtml(review.author)}</span>
+        ${review.verified ? '<span class="reviews-item-verified">Verified purchase</span>' : ''}
+        <time datetime="${escapeHtml(review.date)}">${formatDate(review.date)}</time>
+      </p>
+      <p class="reviews-item-text">${escapeHtml(review.text)}</p>
+      ${review.recommend ? '<p class="reviews-item-recommend">✓ Recommends this product</p>' : ''}
+    </li>
+  `;
+}
+
+/**
+ * Create the pagination HTML
+ * @param {number} page - Current page (1-based)
+ * @param {number} pageCount - Number of pages
+ * @returns {string} HTML string
+ */
+function createPaginationHTML(page, pageCount) {
+  if (pageCount < 2) return '';
+  const pages = Array.from({ length: pageCount }, (_, i) => i + 1).map((n) => `
+    <button type="button" class="reviews-page" data-page="${n}" ${n === page ? 'aria-current="page"' : ''}>${n}</button>
+  `).join('');
+  return `
+    <button type="button" class="reviews-page reviews-page-prev" data-page="${page - 1}" ${page === 1 ? 'disabled' : ''} aria-label="Previous page">‹</button>
+    ${pages}
+    <button type="button" class="reviews-page reviews-page-next" data-page="${page + 1}" ${page === pageCount ? 'disabled' : ''} aria-label="Next page">›</button>
+  `;
+}
+
+/**
+ * Create the write-a-review form HTML
+ * @returns {string} HTML string
+ */
+function createFormHTML() {
+  const stars = [5, 4, 3, 2, 1].map((n) => `
+    <input type="radio" id="reviews-rating-${n}" name="rating" value="${n}">
+    <label for="reviews-rating-${n}" title="${n} ${n === 1 ? 'star' : 'stars'}"><span class="visually-hidden">${n} ${n === 1 ? 'star' : 'stars'}</span></label>
+  `).join('');
+
+  return `
+    <form class="reviews-form" novalidate hidden>
+      <h3>Write a review</h3>
+      <fieldset class="reviews-field reviews-rating-input" data-field="rating">
+        <legend>Overall rating *</legend>
+        <div class="reviews-rating-stars">${stars}</div>
+        <p class="reviews-field-error" id="reviews-error-rating" hidden></p>
+      </fieldset>
+      <div class="reviews-field" data-field="title">
+        <label for="reviews-title">Review title *</label>
+        <input type="text" id="reviews-title" name="title" maxlength="${TITLE_MAX_LENGTH}" aria-describedby="reviews-error-title">
+        <p class="reviews-field-error" id="reviews-error-title" hidden></p>
+      </div>
+      <div class="reviews-field" data-field="text">
+        <label for="reviews-text">Your review *</label>
+        <textarea id="reviews-text" name="text" rows="5" maxlength="${TEXT_MAX_LENGTH}" aria-describedby="reviews-error-text"></textarea>
+        <p class="reviews-field-error" id="reviews-error-text" hidden></p>
+      </div>
+      <div class="reviews-field" data-field="author">
+        <label for="reviews-author">Nickname *</label>
+        <input type="text" id="reviews-author" name="author" autocomplete="nickname" aria-describedby="reviews-error-author">
+        <p class="reviews-field-error" id="reviews-error-author" hidden></p>
+      </div>
+      <div class="reviews-field" data-field="email">
+        <label for="reviews-email">Email *</label>
+        <input type="email" id="reviews-email" name="email" autocomplete="email" aria-describedby="reviews-error-email">
+        <p class="reviews-field-error" id="reviews-error-email" hidden></p>
+      </div>
+      <fieldset class="reviews-field" data-field="recommend">
+        <legend>Would you recommend this product?</legend>
+        <label><input type="radio" name="recommend" value="true"> Yes</label>
+        <label><input type="radio" name="recommend" value="false"> No</label>
+      </fieldset>
+      <p class="reviews-form-status" role="status" hidden></p>
+      <div class="reviews-form-actions">
+        <button type="submit" class="reviews-submit-btn">Submit review</button>
+        <button type="button" class="reviews-cancel-btn">Cancel</button>
+      </div>
+    </form>
+  `;
+}
+
+/**
+ * Validates the write-a-review form
+ * @param {Object} data - Form values
+ * @returns {Object<string, string>} Error messages by field name
+ */
+function validateReview(data) {
+  const errors = {};
+  const rating = Number(data.rating);
+  if (!(rating >= 1 && rating <= 5)) errors.rating = 'Please choose a star rating.';
+  if (!data.title) errors.title = 'Please enter a title.';
+  else if (data.title.length > TITLE_MAX_LENGTH) errors.title = `Keep the title under ${TITLE_MAX_LENGTH} characters.`;
+  if (data.text.length < TEXT_MIN_LENGTH) errors.text = `Your review must be at least ${TEXT_MIN_LENGTH} characters.`;
+  else if (data.text.length > TEXT_MAX_LENGTH) errors.text = `Keep your review under ${TEXT_MAX_LENGTH} characters.`;
+  if (!data.author) errors.author = 'Please enter a nickname.';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) errors.email = 'Please enter a valid email address.';
+  return errors;
+}
+
+/**
+ * Shows validation errors next to their fields
+ * @param {HTMLFormElement} form - The form
+ * @param {Object<string, string>} errors - Error messages by field name
+ */
+function showErrors(form, errors) {
+  form.querySelectorAll('.reviews-field[data-field]').forEach((field) => {
+    const message = errors[field.dataset.field];
+    const error = field.querySelector('.reviews-field-error');
+    if (!error) return;
+    error.textContent = message || '';
+    error.hidden = !message;
+    field.querySelectorAll('input, textarea').forEach((input) => {
+      if (message) input.setAttribute('aria-invalid', 'true');
+      else input.removeAttribute('aria-invalid');
+    });
+  });
+  const firstInvalid = form.querySelector('[aria-invalid="true"]');
+  if (firstInvalid) firstInvalid.focus();
+}
+
+/**
+ * Renders the filtered and sorted page of reviews, the filter status and pagination
+ * @param {HTMLElement} block - The block element
+ * @param {Object} state - Block state
+ */
+function renderList(block, state) {
+  const filtered = state.rating
+    ? state.reviews.filter((review) => review.rating === state.rating)
+    : state.reviews;
+  const sorted = [...filtered].sort(SORT_OPTIONS[state.sort].compare);
+  const pageCount = Math.max(Math.ceil(sorted.length / state.pageSize), 1);
+  state.page = Math.min(Math.max(state.page, 1), pageCount);
+  const start = (state.page - 1) * state.pageSize;
+  const pageItems = sorted.slice(start, start + state.pageSize);
+
+  block.querySelectorAll('.reviews-histogram-bar').forEach((bar) => {
+    bar.setAttribute('aria-pressed', Number(bar.dataset.rating) === state.rating);
+  });
+
+  block.querySelector('.reviews-filter-status').innerHTML = sorted.length
+    ? `Showing ${start + 1}–${start + pageItems.length} of ${sorted.length}${state.rating ? ` ${state.rating}-star` : ''} ${sorted.length === 1 ? 'review' : 'reviews'}
+      ${state.rating ? '<button type="button" class="reviews-clear-filter">Show all</button>' : ''}`
+    : 'No reviews yet. Be the first to share your thoughts!';
+
+  block.querySelector('.reviews-list').innerHTML = pageItems.map(createReviewHTML).join('');
+  block.querySelector('.reviews-pagination').innerHTML = createPaginationHTML(state.page, pageCount);
+}
+
+/**
+ * Opens the write-a-review form
+ * @param {HTMLElement} block - The block element
+ */
+function openForm(block) {
+  const form = block.querySelector('.reviews-form');
+  form.hidden = false;
+  block.querySelector('.reviews-write-btn').setAttribute('aria-expanded', 'true');
+  form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  form.querySelector('input[name="rating"]').focus({ preventScroll: true });
+}
+
+/**
+ * Closes and resets the write-a-review form
+ * @param {HTMLElement} block - The block element
+ */
+function closeForm(block) {
+  const form = block.querySelector('.reviews-form');
+  form.reset();
+  showErrors(form, {});
+  form.querySelectorAll('.reviews-field, .reviews-form-actions, h3').forEach((el) => { el.hidden = false; });
+  form.querySelector('.reviews-form-status').hidden = true;
+  form.hidden = true;
+  block.querySelector('.reviews-write-btn').setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Validates and submits the write-a-review form
+ * @param {HTMLElement} block - The block element
+ * @param {Object} state - Block state
+ */
+async function handleSubmit(block, state) {
+  const form = block.querySelector('.reviews-form');
+  const status = form.querySelector('.reviews-form-status');
+  const formData = new FormData(form);
+  const data = {
+    rating: formData.get('rating') || '',
+    title: (formData.get('title') || '').trim(),
+    text: (formData.get('text') || '').trim(),
+    author: (formData.get('author') || '').trim(),
+    email: (formData.get('email') || '').trim(),
+    recommend: formData.get('recommend') === 'true',
+  };
+
+  const errors = validateReview(data);
+  showErrors(form, errors);
+  if (Object.keys(errors).length) return;
+
+  const submitBtn = form.querySelector('.reviews-submit-btn');
+  submitBtn.disabled = true;
+  status.hidden = false;
+  status.className = 'reviews-form-status';
+  status.textContent = 'Submitting your review…';
+
+  try {
+    await submitReview({ ...data, rating: Number(data.rating), sku: state.sku });
+    form.reset();
+    form.querySelectorAll('.reviews-field, .reviews-form-actions, h3').forEach((el) => { el.hidden = true; });
+    status.textContent = 'Thank you! Your review has been submitted and will appear once it has been checked.';
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to submit review:', error);
+    status.classList.add('reviews-form-error');
+    status.textContent = 'Sorry, we could not submit your review. Please try again.';
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+/**
+ * Load and render the reviews for a product
+ * @param {HTMLElement} block - The block element
+ * @param {Object} state - Block state
+ * @param {string} sku - Product SKU
+ */
+async function renderReviews(block, state, sku) {
+  state.sku = sku;
+  block.dataset.sku = sku;
+  try {
+    state.reviews = await getReviews(sku);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to load reviews:', error);
+    state.reviews = [];
+  }
+  // a newer variant switch may have started while loading
+  if (state.sku !== sku) return;
+
+  state.rating = null;
+  state.page = 1;
+  block.querySelector('.reviews-summary').innerHTML = createSummaryHTML(
+    getReviewSummary(state.reviews),
+    state.rating,
+  );
+  block.querySelector('.reviews-write-btn').setAttribute('aria-expanded', String(!block.querySelector('.reviews-form').hidden));
+  renderList(block, state);
+}
+
+/**
+ * Main decoration function
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  const state = {
+    sku: '',
+    reviews: [],
+    sort: 'newest',
+    rating: null,
+    page: 1,
+    pageSize: Number(config['page-size']) || DEFAULT_PAGE_SIZE,
+  };
+
+  block.id = block.id || 'reviews';
+  block.innerHTML = `
+    <h2 class="reviews-title">Reviews</h2>
+    <div class="reviews-summary"></div>
+    ${createFormHTML()}
+    <div class="reviews-toolbar">
+      <p class="reviews-filter-status" aria-live="polite"></p>
+      <label class="reviews-sort">Sort by
+        <select name="sort">
+          ${Object.entries(SORT_OPTIONS).map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+      </label>
+    </div>
+    <ol class="reviews-list"></ol>
+    <nav class="reviews-pagination" aria-label="Review pages"></nav>
+  `;
+
+  block.addEventListener('click', (e) => {
+    const bar = e.target.closest('.reviews-histogram-bar');
+    if (bar) {
+      const rating = Number(bar.dataset.rating);
+      state.rating = state.rating === rating ? null : rating;
+      state.page = 1;
+      renderList(block, state);
+      return;
+    }
+    if (e.target.closest('.reviews-clear-filter')) {
+      state.rating = null;
+      state.page = 1;
+      renderList(block, state);
+      return;
+    }
+    const pageBtn = e.target.closest('.reviews-page');
+    if (pageBtn) {
+      state.page = Number(pageBtn.dataset.page);
+      renderList(block, state);
+      block.querySelector('.reviews-toolbar').scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return;
+    }
+    if (e.target.closest('.reviews-write-btn')) {
+      if (block.querySelector('.reviews-form').hidden) openForm(block);
+      else closeForm(block);
+      return;
+    }
+    if (e.target.closest('.reviews-cancel-btn')) closeForm(block);
+  });
+
+  block.querySelector('.reviews-sort select').addEventListener('change', (e) => {
+    state.sort = e.target.value;
+    state.page = 1;
+    renderList(block, state);
+  });
+
+  block.querySelector('.reviews-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleSubmit(block, state);
+  });
+
+  // "SHARE YOUR THOUGHTS!" on the product page
+  onReviewFormRequest(() => openForm(block));
+
+  await renderReviews(block, state, config.sku || getCurrentProduct()?.sku || getSkuFromUrl());
+
+  if (!config.sku) {
+    onProductChange((product) => {
+      if (product.sku !== state.sku) renderReviews(block, state, product.sku);
+    });
+  }
+}
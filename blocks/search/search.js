@@ -0,0 +1,188 @@
+/**
+ * Search Block - Site search results, e.g. on the /search page
+ *
+ * Document Structure (in Word/Google Docs), all rows optional:
+ * | search   |    |
+ * | products | 24 |
+ * | pages    | 10 |
+ *
+ * Reads the query from the `q` parameter, so the header search form submits
+ * straight to this page. Products and content pages are listed in separate
+ * groups, capped at the configured number of results each.
+ */
+
+import { readBlockConfig } from '../../scripts/aem.js';
+import { isMember, onAuthChange } from '../../scripts/auth.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { formatPrice, getActivePrice } from '../../scripts/pricing.js';
+import {
+  getSnippet,
+  highlight,
+  saveRecentSearch,
+  search,
+} from '../../scripts/search.js';
+
+const DEFAULT_PRODUCT_LIMIT = 24;
+const DEFAULT_PAGE_LIMIT = 10;
+
+/**
+ * Create HTML for one product result
+ * @param {Object} result - Search result ({ entry, words })
+ * @returns {string} HTML string
+ */
+function createProductHTML({ entry, words }) {
+  const { product } = entry;
+  const money = { currency: product.currency };
+  const price = getActivePrice(product, isMember());
+  return `
+    <li class="search-product">
+      <a class="search-product-image" href="${escapeHtml(entry.url)}" tabindex="-1" aria-hidden="true">
+        <img src="${escapeHtml(entry.image || '/icons/placeholder-product.svg')}" alt="" loading="lazy">
+      </a>
+      <a class="search-product-name" href="${escapeHtml(entry.url)}">${highlight(entry.title, words)}</a>
+      <span class="search-product-sku">${highlight(product.sku, words)}</span>
+      <span class="search-product-price">
+        ${formatPrice(price, money)}
+        ${price < product.price ? '<span class="search-product-member">Member price</span>' : ''}
+      </span>
+    </li>
+  `;
+}
+
+/**
+ * Create HTML for one content result
+ * @param {Object} result - Search result ({ entry, words })
+ * @returns {string} HTML string
+ */
+function createPageHTML({ entry, words }) {
+  return `
+    <li class="search-page">
+      <a class="search-page-title" href="${escapeHtml(entry.url)}">${highlight(entry.title, words)}</a>
+      ${entry.description ? `<p class="search-page-snippet">${getSnippet(entry.description, words)}</p>` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Create HTML for a result group
+ * @param {string} name - Group class name
+ * @param {string} heading - Group heading
+ * @param {Array<Object>} results - Search results
+ * @param {Function} createItemHTML - Item template
+ * @returns {string} HTML string
+ */
+function createGroupHTML(name, heading, results, createItemHTML) {
+  if (!results.length) return '';
+  return `
+    <section class="search-group search-group-${name}" aria-labelledby="search-group-${name}">
+      <h2 id="search-group-${name}">${heading} <span class="search-group-count">(${results.length})</span></h2>
+      <ul class="search-${name}-list">${results.map(createItemHTML).join('')}</ul>
+    </section>
+  `;
+}
+
+/**
+ * Renders the current results
+ * @param {HTMLElement} block - The block element
+ * @param {Object} state - Block state ({ query, options, results })
+ */
+function render(block, state) {
+  if (!state.results) return;
+  const { options } = state;
+  const products = state.results.products.slice(0, options.products);
+  const pages = state.results.content.slice(0, options.pages);
+  const total = state.results.products.length + state.results.content.length;
+
+  block.querySelector('.search-summary').textContent = total
+    ? `${total} result${total === 1 ? '' : 's'} for “${state.query}”`
+    : `No results for “${state.query}”. Check the spelling or try a more general term.`;
+  block.querySelector('.search-results').innerHTML = `
+    ${createGroupHTML('products', 'Products', products, createProductHTML)}
+    ${createGroupHTML('pages', 'Pages', pages, createPageHTML)}
+  `;
+}
+
+/**
+ * Runs the search and renders the results
+ * @param {HTMLElement} block - The block element
+ * @param {Object} state - Block state ({ query, options, results })
+ */
+async function runSearch(block, state) {
+  const summary = block.querySelector('.search-summary');
+  const container = block.querySelector('.search-results');
+  block.querySelector('.search-input').value = state.query;
+
+  if (!state.query.trim()) {
+    state.results = null;
+    summary.textContent = '';
+    container.innerHTML = '';
+    return;
+  }
+
+  summary.textContent = 'Searching…';
+  const { query } = state;
+  let results;
+  try {
+    results = await search(query);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Search failed:', error);
+    summary.textContent = 'Search is unavailable right now. Please try again later.';
+    container.innerHTML = '';
+    return;
+  }
+  // a newer search has started
+  if (query !== state.query) return;
+  state.results = results;
+  render(block, state);
+}
+
+/**
+ * Main decoration function
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  const state = {
+    query: new URLSearchParams(window.location.search).get('q') || '',
+    options: {
+      products: Number(config.products) || DEFAULT_PRODUCT_LIMIT,
+      pages: Number(config.pages) || DEFAULT_PAGE_LIMIT,
+    },
+    results: null,
+  };
+
+  block.innerHTML = `
+    <form class="search-form" role="search" action="${window.location.pathname}" method="get">
+      <label class="search-label" for="search-input">Search products and pages</label>
+      <div class="search-field">
+        <input type="search" class="search-input" id="search-input" name="q" autocomplete="off">
+        <button type="submit" class="search-submit">Search</button>
+      </div>
+    </form>
+    <p class="search-summary" aria-live="polite"></p>
+    <div class="search-results"></div>
+  `;
+
+  block.querySelector('.search-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    state.query = block.querySelector('.search-input').value.trim();
+    saveRecentSearch(state.query);
+    const url = new URL(window.location.href);
+    if (state.query) url.searchParams.set('q', state.query);
+    else url.searchParams.delete('q');
+    if (url.href !== window.location.href) window.history.pushState({ search: true }, '', url);
+    runSearch(block, state);
+  });
+
+  // restore earlier searches on back/forward
+  window.addEventListener('popstate', () => {
+    state.query = new URLSearchParams(window.location.search).get('q') || '';
+    runSearch(block, state);
+  });
+
+  onAuthChange(() => render(block, state));
+
+  if (state.query) saveRecentSearch(state.query);
+  await runSearch(block, state);
+}
@@ -0,0 +1,185 @@
+/**
+ * Trade-Up Calculator
+ * Old-device picker shared by the trade-up block and the product buy box.
+ * The valued device is remembered for the session; in the buy box it is
+ * carried into the cart with the product.
+ */
+
+import { loadCSS } from '../../scripts/aem.js';
+import { isMember, onAuthChange } from '../../scripts/auth.js';
+import { escapeHtml } from '../../scripts/dom.js';
+import { formatPrice, getActivePrice } from '../../scripts/pricing.js';
+import {
+  OTHER_BRAND,
+  getSavedTradeUp,
+  getTradeUpChoices,
+  getTradeUpRules,
+  getTradeUpValue,
+  isTradeUpComplete,
+  onTradeUpChange,
+  saveTradeUp,
+} from '../../scripts/trade-up.js';
+
+const FIELDS = [
+  { name: 'category', label: 'Device', choices: 'categories' },
+  { name: 'brand', label: 'Brand', choices: 'brands' },
+  { name: 'age', label: 'Age', choices: 'ages' },
+  { name: 'condition', label: 'Condition', choices: 'conditions' },
+];
+
+/**
+ * Create the trade-up calculator HTML
+ * @param {Object} [options] - Options
+ * @param {Object} [options.product] - Product being bought, shows its price after trade-up
+ * @param {string} [options.title] - Heading text
+ * @param {string} [options.heading] - Heading element, e.g. 'h3' inside the buy box
+ * @returns {string} HTML string
+ */
+export function createTradeUpCalculatorHTML({ product, title = 'Trade-Up', heading = 'h2' } = {}) {
+  const intro = product
+    ? 'Trade in your old device and get money off this product.'
+    : 'Tell us about your old device to see how much you could get off a new one.';
+  return `
+    <div class="trade-up-calculator" id="trade-up">
+      <${heading} class="trade-up-title">${title}</${heading}>
+      <p class="trade-up-intro">${intro}</p>
+      <form class="trade-up-form">
+        ${FIELDS.map(({ name, label }) => `
+          <div class="trade-up-field" data-field="${name}">
+            <label for="trade-up-${name}">${label}</label>
+            <select id="trade-up-${name}" name="${name}"></select>
+          </div>
+        `).join('')}
+      </form>
+      <div class="trade-up-result" aria-live="polite"></div>
+    </div>
+  `;
+}
+
+/**
+ * Fills the selects with the choices for the current selection
+ * @param {Element} form - The calculator form
+ * @param {Array<Object>} rules - Rule rows
+ * @param {Object} selection - Current selection
+ */
+function renderFields(form, rules, selection) {
+  const choices = getTradeUpChoices(rules, selection.category);
+  FIELDS.forEach(({ name, choices: key }) => {
+    const options = name === 'brand' && choices.brands.length
+      ? [...choices.brands.map((brand) => [brand, brand]), [OTHER_BRAND, 'Other brand']]
+      : choices[key].map((value) => [value, value]);
+    const select = form.elements[name];
+    select.innerHTML = `<option value="">Select ${name === 'category' ? 'device' : name}</option>${
+      options.map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('')}`;
+    select.value = options.some(([value]) => value === selection[name]) ? selection[name] : '';
+    select.closest('.trade-up-field').hidden = !options.length;
+  });
+}
+
+/**
+ * Shows the value of the selected device
+ * @param {Element} result - The result element
+ * @param {Array<Object>} rules - Rule rows
+ * @param {Object} selection - Current selection
+ * @param {Object} [product] - Product being bought
+ */
+function renderResult(result, rules, selection, product) {
+  if (!isTradeUpComplete(rules, selection)) {
+    result.innerHTML = '';
+    return;
+  }
+
+  const money = { currency: product?.currency };
+  const value = getTradeUpValue(rules, selection, product);
+  if (!value) {
+    result.innerHTML = '<p class="trade-up-none">Sorry, we can\'t offer a trade-up for this device.</p>';
+    return;
+  }
+
+  const price = product ? getActivePrice(product, isMember()) : 0;
+  result.innerHTML = `
+    <p class="trade-up-value">
+      ${product ? 'Your trade-up value' : 'Worth up to'} <strong>${formatPrice(value, money)}</strong>
+    </p>
+    ${product ? `
+      <p class="trade-up-price">
+        Price after trade-up <strong>${formatPrice(Math.max(price - value, 0), money)}</strong>
+      </p>
+      <p class="trade-up-note">Taken off your order when you add this product to your cart.</p>
+    ` : '<p class="trade-up-note">Taken off your order when you buy an eligible product.</p>'}
+    <button type="button" class="trade-up-remove">Remove trade-up</button>
+  `;
+}
+
+/**
+ * Wires up a trade-up calculator
+ * @param {Element} calculator - The calculator element
+ * @param {Object} [product] - Product being bought
+ */
+export default async function decorateTradeUpCalculator(calculator, product) {
+  if (!calculator) return;
+  loadCSS(`${window.hlx?.codeBasePath || ''}/blocks/trade-up/trade-up-calculator.css`);
+
+  let rules = [];
+  try {
+    rules = await getTradeUpRules();
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to load trade-up rules:', error);
+  }
+  if (!rules.length) {
+    calculator.hidden = true;
+    return;
+  }
+
+  const form = calculator.querySelector('.trade-up-form');
+  const result = calculator.querySelector('.trade-up-result');
+  let selection = getSavedTradeUp() || {};
+  let saving = false;
+
+  const render = () => {
+    renderFields(form, rules, selection);
+    renderResult(result, rules, selection, product);
+  };
+
+  form.addEventListener('change', (e) => {
+    selection = { ...selection, [e.target.name]: e.target.value };
+    // the other answers depend on the device
+    if (e.target.name === 'category') selection = { category: e.target.value };
+    const valued = isTradeUpComplete(rules, selection) && getTradeUpValue(rules, selection) > 0;
+    saving = true;
+    if (valued) saveTradeUp(selection);
+    else if (getSavedTradeUp()) saveTradeUp(null);
+    saving = false;
+    render();
+  });
+
+  calculator.addEventListener('click', (e) => {
+    if (!e.target.closest('.trade-up-remove')) return;
+    selection = {};
+    saveTradeUp(null);
+    form.elements.category.focus();
+  });
+
+  // follow changes from other calculators and from the cart
+  const unsubscribe = onTradeUpChange((tradeUp) => {
+    // the buy box is re-rendered on variant switches
+    if (!calculator.isConnected) {
+      unsubscribe();
+      return;
+    }
+    if (saving) return;
+    selection = tradeUp || {};
+    render();
+  });
+  // the value is capped at the member price for members
+  const unsubscribeAuth = onAuthChange(() => {
+    if (!calculator.isConnected) {
+      unsubscribeAuth();
+      return;
+    }
+    renderResult(result, rules, selection, product);
+  });
+
+  render();
+}
@@ -0,0 +1,25 @@
+/**
+ * Trade-Up Block - Values the shopper's old device, e.g. on the /trade-up page
+ *
+ * Document Structure (in Word/Google Docs), all rows optional:
+ * | trade-up |                          |
+ * | title    | Trade in your old TV     |
+ *
+ * The valued device is remembered for the session and applied to the next
+ * eligible product added to the cart.
+ */
+
+import { readBlockConfig } from '../../scripts/aem.js';
+import decorateTradeUpCalculator, { createTradeUpCalculatorHTML } from './trade-up-calculator.js';
+
+const DEFAULT_TITLE = 'How much is your old device worth?';
+
+/**
+ * Main decoration function
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  block.innerHTML = createTradeUpCalculatorHTML({ title: config.title || DEFAULT_TITLE });
+  await decorateTradeUpCalculator(block.querySelector('.trade-up-calculator'));
+}
@@ -0,0 +1,181 @@
+/**
+ * Auth state
+ * Tracks the signed-in shopper and whether member pricing applies.
+ *
+ * Sign-in is delegated to a provider so the identity service can be swapped
+ * without touching the blocks. A provider implements:
+ * - getUser(): Promise<User|null> - restores the session on page load
+ * - signIn({ email, password }): Promise<User> - rejects with a message on failure
+ * - signOut(): Promise<void>
+ *
+ * The local stub provider is used until another one is registered with
+ * setAuthProvider(). It accepts any email with a password of 6+ characters
+ * and keeps the session in localStorage.
+ */
+
+const STUB_STORAGE_KEY = 'lg-auth-stub';
+const STUB_MIN_PASSWORD_LENGTH = 6;
+
+export const AUTH_CHANGE_EVENT = 'auth:change';
+export const SIGN_IN_REQUEST_EVENT = 'auth:sign-in-request';
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} email
+ * @property {string} name - Display name
+ * @property {boolean} isMember - Whether member pricing applies
+ */
+
+/**
+ * Local stub provider for development
+ * @type {Object}
+ */
+export const stubProvider = {
+  async getUser() {
+    try {
+      return JSON.parse(localStorage.getItem(STUB_STORAGE_KEY));
+    } catch (e) {
+      return null;
+    }
+  },
+
+  async signIn({ email, password }) {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || '')) {
+      throw new Error('Please enter a valid email address.');
+    }
+    if ((password || '').length < STUB_MIN_PASSWORD_LENGTH) {
+      throw new Error('Incorrect email or password.');
+    }
+    const name = email.split('@')[0].replace(/[._-]+/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+    const user = {
+      id: `stub-${email.toLowerCase()}`, email, name, isMember: true,
+    };
+    try {
+      localStorage.setItem(STUB_STORAGE_KEY, JSON.stringify(user));
+    } catch (e) {
+      // do nothing
+    }
+    return user;
+  },
+
+  async signOut() {
+    try {
+      localStorage.removeItem(STUB_STORAGE_KEY);
+    } catch (e) {
+      // do nothing
+    }
+  },
+};
+
+let provider = stubProvider;
+let currentUser = null;
+let readyPromise;
+
+/**
+ * Updates the current user and notifies listeners
+ * @param {User|null} user - Signed-in user
+ */
+function setUser(user) {
+  currentUser = user || null;
+  document.dispatchEvent(new CustomEvent(AUTH_CHANGE_EVENT, { detail: { user: currentUser } }));
+}
+
+/**
+ * Restores the session from the provider (once per provider)
+ * @returns {Promise<User|null>} Signed-in user
+ */
+export function whenAuthReady() {
+  if (!readyPromise) {
+    readyPromise = provider.getUser()
+      .catch(() => null)
+      .then((user) => {
+        if (user?.id !== currentUser?.id) setUser(user);
+        return currentUser;
+      });
+  }
+  return readyPromise;
+}
+
+/**
+ * Registers the auth provider and restores its session
+ * @param {Object} authProvider - Provider ({ getUser, signIn, signOut })
+ * @returns {Promise<User|null>} Signed-in user
+ */
+export function setAuthProvider(authProvider) {
+  provider = authProvider;
+  readyPromise = null;
+  return whenAuthReady();
+}
+
+/**
+ * Gets the signed-in user
+ * @returns {User|null} User, or null when signed out or not restored yet
+ */
+export function getUser() {
+  return currentUser;
+}
+
+/**
+ * Checks whether member pricing applies to the current shopper
+ * @returns {boolean} True for signed-in members
+ */
+export function isMember() {
+  return Boolean(currentUser?.isMember);
+}
+
+/**
+ * Signs in with the current provider
+ * @param {Object} credentials - Credentials ({ email, password })
+ * @returns {Promise<User>} Signed-in user
+ */
+export async function signIn(credentials) {
+  const user = await provider.signIn(credentials);
+  setUser(user);
+  return user;
+}
+
+/**
+ * Signs out with the current provider
+ */
+export async function signOut() {
+  await provider.signOut();
+  setUser(null);
+}
+
+/**
+ * Subscribes to sign-in and sign-out
+ * @param {Function} callback - Called with the signed-in user, or null
+ * @returns {Function} Unsubscribe function
+ */
+export function onAuthChange(callback) {
+  const handler = (e) => callback(e.detail.user);
+  document.addEventListener(AUTH_CHANGE_EVENT, handler);
+  return () => document.removeEventListener(AUTH_CHANGE_EVENT, handler);
+}
+
+/**
+ * Asks the header to open the sign-in form
+ */
+export function requestSignIn() {
+  document.dispatchEvent(new CustomEvent(SIGN_IN_REQUEST_EVENT));
+}
+
+/**
+ * Subscribes to sign-in requests
+ * @param {Function} callback - Called when the sign-in form should open
+ * @returns {Function} Unsubscribe function
+ */
+export function onSignInRequest(callback) {
+  document.addEventListener(SIGN_IN_REQUEST_EVENT, callback);
+  return () => document.removeEventListener(SIGN_IN_REQUEST_EVENT, callback);
+}
+
+// keep open tabs in sync with the stub session
+window.addEventListener('storage', (e) => {
+  if (provider === stubProvider && e.key === STUB_STORAGE_KEY) {
+    stubProvider.getUser().then(setUser);
+  }
+});
+
+whenAuthReady();
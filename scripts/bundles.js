@@ -0,0 +1,69 @@
+/**
+ * Bundles
+ * "Frequently bought together" offers for a main product.
+ *
+ * Bundles are read from the `bundles` page metadata, then from the `bundles`
+ * key of the /config.json sheet, then from the local table at
+ * /data/bundles.json. Each row is one bundle for a main product; `items` lists
+ * the add-on SKUs and `discount` is the percentage taken off the add-ons when
+ * they are bought with the main product:
+ * { id: 'g5-cinema', sku: 'OLED55G54LW', title: 'Complete your home cinema',
+ *   items: 'S95TR, WB22EGB', discount: 15 }
+ */
+
+import { getMetadata } from './aem.js';
+import { normalizeSku } from './catalog.js';
+import { fetchJson, getConfigValue } from './data.js';
+
+const DEFAULT_BUNDLES_URL = '/data/bundles.json';
+
+/**
+ * @typedef {Object} Bundle
+ * @property {string} id - Bundle id
+ * @property {string} sku - Main product SKU
+ * @property {string} title - Heading
+ * @property {Array<string>} items - Add-on SKUs
+ * @property {number} discount - Percentage off the add-ons
+ */
+
+/**
+ * Loads the bundles of a main product
+ * @param {string} sku - Main product SKU
+ * @returns {Promise<Array<Bundle>>} Bundles, in sheet order
+ */
+export async function getBundles(sku) {
+  const url = getMetadata('bundles') || await getConfigValue('bundles') || DEFAULT_BUNDLES_URL;
+  const data = await fetchJson(url);
+  // accept a bare array or a spreadsheet-style { data: [...] } response
+  const rows = Array.isArray(data) ? data : (data?.data || []);
+  return rows
+    .filter((row) => normalizeSku(row.sku) === normalizeSku(sku))
+    .map((row) => ({
+      id: row.id || normalizeSku(row.sku),
+      sku: normalizeSku(row.sku),
+      title: row.title || '',
+      items: (Array.isArray(row.items) ? row.items : String(row.items || '').split(','))
+        .map(normalizeSku)
+        .filter(Boolean),
+      discount: Number(row.discount) || 0,
+    }))
+    .filter((bundle) => bundle.items.length);
+}
+
+/**
+ * Works out the price of the selected bundle items
+ * The discount applies to the add-ons only while the main product is selected.
+ * @param {Bundle} bundle - Bundle
+ * @param {Array<Object>} items - Selected items ({ sku, price }), prices already member-adjusted
+ * @returns {Object} Pricing ({ total, discount, price })
+ */
+export function getBundlePricing(bundle, items) {
+  const total = items.reduce((sum, item) => sum + item.price, 0);
+  const hasMain = items.some((item) => item.sku === bundle.sku);
+  const addOns = items.filter((item) => item.sku !== bundle.sku);
+  const addOnTotal = addOns.reduce((sum, item) => sum + item.price, 0);
+  const discount = hasMain && addOns.length
+    ? Math.round(addOnTotal * bundle.discount) / 100
+    : 0;
+  return { total, discount, price: total - discount };
+}
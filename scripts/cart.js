@@ -0,0 +1,344 @@
+/**
+ * Client-side cart
+ * Stores line items in localStorage and keeps open tabs in sync.
+ *
+ * Line item structure:
+ * {
+ *   id: 'OLED55G54LW-55',
+ *   sku: 'OLED55G54LW',
+ *   name: '55 inch LG OLED evo AI G5 4K Smart TV 2025',
+ *   size: '55"',
+ *   price: 1699.00,
+ *   memberPrice: 1665.02,
+ *   currency: 'GBP',
+ *   quantity: 1,
+ *   image: 'https://...',
+ *   url: '/products/OLED55G54LW',
+ *   adjustments: [{ type: 'trade-up', label: 'Trade-Up: Samsung TV', amount: 150 }],
+ *   plan: { id: 'finance-36', type: 'finance', name: 'Monthly LG', term: 36, apr: 9.9, rate: 0 },
+ * }
+ *
+ * Adjustments are taken off the line total once, whatever the quantity. An
+ * adjustment with `linkedLines` (such as a bundle saving) is dropped when any
+ * of those lines is removed, and counts once per complete set in `sets`.
+ * Lines without a plan are bought outright; finance lines count towards the
+ * total and the monthly payments; subscription lines only count towards the
+ * monthly payments.
+ */
+
+import { isMember } from './auth.js';
+import { getMonthlyPayment } from './finance.js';
+import { getLocalePath } from './locale.js';
+import { getActivePrice } from './pricing.js';
+
+const STORAGE_KEY = 'lg-cart';
+const MAX_QUANTITY = 10;
+
+export const CART_CHANGE_EVENT = 'cart:change';
+
+/**
+ * Builds the line item id for a SKU, size and payment plan
+ * @param {string} sku - Product SKU
+ * @param {string} [size] - Selected size
+ * @param {Object} [plan] - Finance or subscription plan
+ * @returns {string} Line item id
+ */
+function getLineId(sku, size, plan) {
+  const id = size ? `${sku}-${size.replace(/[^\w.]/g, '')}` : sku;
+  return plan ? `${id}-${plan.id}` : id;
+}
+
+/**
+ * Reads the cart from localStorage
+ * @returns {Object} Cart with a lines array
+ */
+function readCart() {
+  try {
+    const cart = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (cart && Array.isArray(cart.lines)) return cart;
+  } catch (e) {
+    // do nothing
+  }
+  return { lines: [] };
+}
+
+/**
+ * Notifies listeners that the cart changed
+ * @param {Object} detail - Event detail ({ action, line, source })
+ */
+function notify(detail) {
+  document.dispatchEvent(new CustomEvent(CART_CHANGE_EVENT, {
+    detail: { cart: readCart(), ...detail },
+  }));
+}
+
+/**
+ * Writes the cart to localStorage and notifies listeners
+ * @param {Object} cart - Cart to store
+ * @param {Object} detail - Event detail ({ action, line })
+ */
+function writeCart(cart, detail) {
+  cart.updated = Date.now();
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(cart));
+  } catch (e) {
+    // do nothing
+  }
+  notify({ ...detail, source: 'local' });
+}
+
+/**
+ * Gets the current cart
+ * @returns {Object} Cart with a lines array
+ */
+export function getCart() {
+  return readCart();
+}
+
+/**
+ * Gets the total number of items in the cart
+ * @returns {number} Item count
+ */
+export function getCartCount() {
+  return readCart().lines.reduce((count, line) => count + line.quantity, 0);
+}
+
+/**
+ * Gets the unit price of a line, using the member price for signed-in members
+ * @param {Object} line - Cart line
+ * @returns {number} Unit price
+ */
+export function getLinePrice(line) {
+  return getActivePrice(line, isMember());
+}
+
+/**
+ * Gets the total of the adjustments on a line, never more than the line itself
+ * @param {Object} line - Cart line
+ * @returns {number} Amount taken off the line
+ */
+export function getLineAdjustmentTotal(line) {
+  const amount = (line.adjustments || [])
+    .reduce((total, adj) => total + (Number(adj.amount) || 0), 0);
+  return Math.min(amount, getLinePrice(line) * line.quantity);
+}
+
+/**
+ * Gets the monthly payment of a finance or subscription line
+ * Finance covers the line less its adjustments, such as a trade-up.
+ * @param {Object} line - Cart line
+ * @returns {number} Monthly payment for the whole line, 0 when bought outright
+ */
+export function getLineMonthlyPayment(line) {
+  if (!line.plan) return 0;
+  if (line.plan.type === 'finance') {
+    const amount = getLinePrice(line) * line.quantity - getLineAdjustmentTotal(line);
+    return getMonthlyPayment(amount, line.plan);
+  }
+  return getMonthlyPayment(getLinePrice(line), line.plan) * line.quantity;
+}
+
+/**
+ * Gets the cart totals
+ * Subtotal is before adjustments; total is what the shopper pays for the
+ * lines that are not subscriptions; monthly is the sum of the monthly payments.
+ * @returns {Object} Totals
+ *   ({ count, subtotal, memberSavings, adjustments, total, monthly, currency })
+ */
+export function getCartTotals() {
+  const { lines } = readCart();
+  const bought = lines.filter((line) => line.plan?.type !== 'subscription');
+  const subtotal = bought.reduce((total, line) => total + getLinePrice(line) * line.quantity, 0);
+  const adjustments = bought.reduce((total, line) => total + getLineAdjustmentTotal(line), 0);
+  return {
+    count: lines.reduce((count, line) => count + line.quantity, 0),
+    subtotal,
+    memberSavings: bought.reduce(
+      (total, line) => total + (line.price - getLinePrice(line)) * line.quantity,
+      0,
+    ),
+    adjustments,
+    total: subtotal - adjustments,
+    monthly: lines.reduce((total, line) => total + getLineMonthlyPayment(line), 0),
+    currency: lines[0]?.currency,
+  };
+}
+
+/**
+ * Merges adjustments into a list, replacing any of the same type
+ * @param {Array<Object>} current - Existing adjustments
+ * @param {Array<Object>} added - New adjustments ({ type, label, amount })
+ * @returns {Array<Object>} Adjustments
+ */
+function mergeAdjustments(current = [], added = []) {
+  const types = added.map((adj) => adj.type);
+  return [...current.filter((adj) => !types.includes(adj.type)), ...added];
+}
+
+/**
+ * Limits set adjustments to the number of complete sets in the cart
+ * A set is complete while its owning line and every linked line have one unit.
+ * @param {Object} cart - Cart to change
+ */
+function fitSets(cart) {
+  cart.lines.forEach((line) => (line.adjustments || []).forEach((adj) => {
+    if (!adj.sets) return;
+    const quantities = adj.linkedLines
+      .map((id) => cart.lines.find((l) => l.id === id)?.quantity || 0);
+    const sets = Math.min(adj.sets, line.quantity, ...quantities);
+    if (sets === adj.sets) return;
+    adj.amount = (adj.amount / adj.sets) * sets;
+    adj.sets = sets;
+  }));
+}
+
+/**
+ * Adds an item to a cart, or increases the quantity of an existing line
+ * @param {Object} cart - Cart to change
+ * @param {Object} item - Line item data
+ * @param {number} quantity - Quantity to add
+ * @returns {Object} The added or updated line
+ */
+function addLine(cart, item, quantity) {
+  const id = getLineId(item.sku, item.size, item.plan);
+  let line = cart.lines.find((l) => l.id === id);
+
+  if (line) {
+    line.quantity = Math.min(line.quantity + quantity, MAX_QUANTITY);
+    line.price = item.price;
+    line.memberPrice = item.memberPrice || 0;
+    if (item.adjustments?.length) {
+      line.adjustments = mergeAdjustments(line.adjustments, item.adjustments);
+    }
+  } else {
+    line = {
+      id,
+      sku: item.sku,
+      name: item.name,
+      size: item.size || '',
+      price: item.price,
+      memberPrice: item.memberPrice || 0,
+      currency: item.currency,
+      quantity: Math.min(quantity, MAX_QUANTITY),
+      image: item.image || '',
+      url: item.url || getLocalePath(`/products/${item.sku}`),
+      adjustments: mergeAdjustments([], item.adjustments),
+      plan: item.plan || null,
+    };
+    cart.lines.push(line);
+  }
+  return line;
+}
+
+/**
+ * Adds a product to the cart, or increases the quantity of an existing line
+ * @param {Object} item - Line item data
+ *   (sku, name, size, price, memberPrice, currency, image, url, adjustments, plan)
+ * @param {number} [quantity] - Quantity to add
+ * @returns {Object} The added or updated line
+ */
+export function addToCart(item, quantity = 1) {
+  const cart = readCart();
+  const line = addLine(cart, item, quantity);
+  writeCart(cart, { action: 'add', line });
+  return line;
+}
+
+/**
+ * Adds several products to the cart at once
+ * The adjustment is kept on the first line and linked to the others, so it
+ * is dropped when any of them is removed. Adding the same set again takes the
+ * adjustment off again.
+ * @param {Array<Object>} items - Line item data, main product first
+ * @param {Object} [adjustment] - Adjustment for the whole set ({ type, label, amount })
+ * @returns {Array<Object>} The added or updated lines
+ */
+export function addItemsToCart(items, adjustment) {
+  const cart = readCart();
+  const lines = items.map((item) => addLine(cart, item, 1));
+  if (adjustment && lines.length > 1) {
+    const linkedLines = lines.slice(1).map((line) => line.id);
+    const current = lines[0].adjustments.find((adj) => adj.type === adjustment.type
+      && adj.linkedLines?.join() === linkedLines.join());
+    const sets = current ? (current.sets || 1) + 1 : 1;
+    lines[0].adjustments = mergeAdjustments(lines[0].adjustments, [{
+      ...adjustment,
+      amount: adjustment.amount * sets,
+      sets,
+      linkedLines,
+    }]);
+    fitSets(cart);
+  }
+  writeCart(cart, { action: 'add', line: lines[0], lines });
+  return lines;
+}
+
+/**
+ * Sets the quantity of a line, removing it when the quantity drops to zero
+ * @param {string} id - Line item id
+ * @param {number} quantity - New quantity
+ */
+export function updateQuantity(id, quantity) {
+  const cart = readCart();
+  const line = cart.lines.find((l) => l.id === id);
+  if (!line) return;
+
+  if (quantity <= 0) {
+    cart.lines = cart.lines.filter((l) => l.id !== id);
+    // adjustments that depend on this line no longer apply
+    cart.lines.forEach((l) => {
+      l.adjustments = (l.adjustments || []).filter((adj) => !adj.linkedLines?.includes(id));
+    });
+    writeCart(cart, { action: 'remove', line });
+    return;
+  }
+
+  line.quantity = Math.min(quantity, MAX_QUANTITY);
+  fitSets(cart);
+  writeCart(cart, { action: 'update', line });
+}
+
+/**
+ * Removes an adjustment from a line
+ * @param {string} id - Line item id
+ * @param {string} type - Adjustment type, e.g. 'trade-up'
+ */
+export function removeAdjustment(id, type) {
+  const cart = readCart();
+  const line = cart.lines.find((l) => l.id === id);
+  if (!line?.adjustments?.some((adj) => adj.type === type)) return;
+
+  line.adjustments = line.adjustments.filter((adj) => adj.type !== type);
+  writeCart(cart, { action: 'update', line });
+}
+
+/**
+ * Removes a line from the cart
+ * @param {string} id - Line item id
+ */
+export function removeFromCart(id) {
+  updateQuantity(id, 0);
+}
+
+/**
+ * Removes every line from the cart
+ */
+export function clearCart() {
+  writeCart({ lines: [] }, { action: 'clear' });
+}
+
+/**
+ * Subscribes to cart changes from this tab and from other open tabs
+ * @param {Function} callback - Called with the event detail ({ cart, action, line, source })
+ * @returns {Function} Unsubscribe function
+ */
+export function onCartChange(callback) {
+  const handler = (e) => callback(e.detail);
+  document.addEventListener(CART_CHANGE_EVENT, handler);
+  return () => document.removeEventListener(CART_CHANGE_EVENT, handler);
+}
+
+// keep open tabs in sync
+window.addEventListener('storage', (e) => {
+  if (e.key === STORAGE_KEY) notify({ action: 'sync', source: 'storage' });
+});
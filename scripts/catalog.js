@@ -0,0 +1,514 @@
+/**
+ * Catalog client
+ * Single entry point for product, spec and breadcrumb data.
+ *
+ * The base URL is read from the `catalog-api` page metadata, then from the
+ * `catalog-api` key of the /config.json sheet, then falls back to the demo API.
+ * Requests go through fetchJson, which de-duplicates and caches them, so every
+ * block on a product page shares one request per resource.
+ */
+
+import { getMetadata } from './aem.js';
+import { fetchJson, getConfigValue } from './data.js';
+import { getLocalePath, getPageLocale } from './locale.js';
+
+const DEFAULT_BASE_URL = 'https://696f0a83a06046ce618526b0.mockapi.io/api';
+const DEFAULT_QUERY_INDEX_URL = '/query-index.json';
+const LOW_STOCK_THRESHOLD = 5;
+const AVAILABILITY_STATES = ['in-stock', 'low-stock', 'pre-order', 'out-of-stock'];
+
+let baseUrlPromise;
+
+/**
+ * @typedef {Object} GalleryImage
+ * @property {string} src - Image URL
+ * @property {string} alt - Alt text
+ * @property {string} label - Optional thumbnail label
+ */
+
+/**
+ * @typedef {Object} BreadcrumbItem
+ * @property {string} label - Link text
+ * @property {string|null} url - Link target, null for the current page
+ */
+
+/**
+ * @typedef {Object} Spec
+ * @property {string} leftLabel
+ * @property {string} leftValue
+ * @property {string} rightLabel
+ * @property {string} rightValue
+ */
+
+/**
+ * @typedef {Object} Product
+ * @property {string} sku
+ * @property {string} name
+ * @property {string} shortName
+ * @property {string} badge
+ * @property {boolean} tradeUp - Whether an old device can be traded in against the product
+ * @property {number} price
+ * @property {number} originalPrice
+ * @property {number} memberPrice
+ * @property {number} savings
+ * @property {string} currency - ISO code or symbol; empty to use the currency of the country site
+ * @property {number} rating
+ * @property {number} reviewCount
+ * @property {number} recommendPercentage
+ * @property {number} recommendCount
+ * @property {number} recommendTotal
+ * @property {Array<string>} sizes
+ * @property {string} selectedSize
+ * @property {Array<string>} keyFeatures
+ * @property {boolean} freeDelivery
+ * @property {string} availability - 'in-stock', 'low-stock', 'pre-order' or 'out-of-stock'
+ * @property {number|null} stockQuantity - Units left, null when unknown
+ * @property {string} releaseDate - ISO date a pre-order product ships from
+ * @property {Array<GalleryImage>} galleryImages
+ * @property {string} energyClass - EU energy class, e.g. 'F'
+ * @property {string} [energyScale] - 'A-G' (default) or 'A+++-D'
+ * @property {string} energyLabelUrl - Image of the full energy label
+ * @property {string} productSheetUrl - Product information sheet (PDF)
+ * @property {Array<BreadcrumbItem>} breadcrumb
+ * @property {Array<Spec>} [specs]
+ * @property {Array<Variant>} [variants]
+ * @property {string} [series] - Product series, e.g. 'G5'
+ * @property {string} [category] - Path of the listing page, e.g. '/tv-and-soundbars/oled-evo'
+ */
+
+/**
+ * Normalizes a SKU for comparison (uppercase, trim whitespace)
+ * @param {string} sku - Product SKU
+ * @returns {string} Normalized SKU
+ */
+export function normalizeSku(sku) {
+  return (sku || '').toUpperCase().trim();
+}
+
+/**
+ * Gets SKU from URL path
+ * URL: /products/OLED55G54LW → Returns: OLED55G54LW
+ * @param {string} [pathname] - Path to read, defaults to the current page
+ * @returns {string} SKU, or an empty string when the path is not a product page
+ */
+export function getSkuFromUrl(pathname = window.location.pathname) {
+  const segments = pathname.split('/').filter((s) => s);
+  const productsIndex = segments.indexOf('products');
+  return normalizeSku(productsIndex >= 0 ? segments[productsIndex + 1] : '');
+}
+
+/**
+ * Gets the catalog base URL (page metadata, then config sheet, then default)
+ * @returns {Promise<string>} Base URL without trailing slash
+ */
+export async function getCatalogBaseUrl() {
+  if (!baseUrlPromise) {
+    baseUrlPromise = (async () => {
+      const url = getMetadata('catalog-api') || await getConfigValue('catalog-api') || DEFAULT_BASE_URL;
+      return url.replace(/\/$/, '');
+    })();
+  }
+  return baseUrlPromise;
+}
+
+/**
+ * Works out the availability state of a raw API product
+ * Uses the explicit `availability` value when valid, otherwise the stock quantity.
+ * @param {Object} raw - Product as returned by the API
+ * @returns {string} Availability state
+ */
+function getAvailability(raw) {
+  const availability = (raw.availability || '').toLowerCase().replace(/[\s_]+/g, '-');
+  if (AVAILABILITY_STATES.includes(availability)) return availability;
+  if (raw.stockQuantity === undefined || raw.stockQuantity === null || raw.stockQuantity === '') {
+    return 'in-stock';
+  }
+  const quantity = Number(raw.stockQuantity);
+  if (quantity <= 0) return 'out-of-stock';
+  return quantity <= LOW_STOCK_THRESHOLD ? 'low-stock' : 'in-stock';
+}
+
+/**
+ * Converts a raw API product into a Product
+ * @param {Object} raw - Product as returned by the API
+ * @returns {Product} Product
+ */
+function toProduct(raw) {
+  const number = (value) => (value === undefined || value === null || value === '' ? 0 : Number(value));
+  const price = number(raw.price);
+  const originalPrice = number(raw.originalPrice) || price;
+  return {
+    ...raw,
+    sku: normalizeSku(raw.sku),
+    name: raw.name || '',
+    shortName: raw.shortName || raw.name || '',
+    badge: raw.badge || '',
+    tradeUp: raw.tradeUp === undefined ? /trade-up/i.test(raw.badge || '') : Boolean(raw.tradeUp),
+    price,
+    originalPrice,
+    memberPrice: number(raw.memberPrice),
+    savings: number(raw.savings) || Math.max(originalPrice - price, 0),
+    currency: raw.currency || '',
+    rating: number(raw.rating),
+    reviewCount: number(raw.reviewCount),
+    recommendPercentage: number(raw.recommendPercentage),
+    recommendCount: number(raw.recommendCount),
+    recommendTotal: number(raw.recommendTotal),
+    sizes: raw.sizes || [],
+    selectedSize: raw.selectedSize || '',
+    keyFeatures: raw.keyFeatures || [],
+    freeDelivery: Boolean(raw.freeDelivery),
+    availability: getAvailability(raw),
+    stockQuantity: raw.stockQuantity === undefined || raw.stockQuantity === null || raw.stockQuantity === ''
+      ? null
+      : Number(raw.stockQuantity),
+    releaseDate: raw.releaseDate || '',
+    galleryImages: (raw.galleryImages || []).map((img) => ({ label: '', alt: raw.name || '', ...img })),
+    energyClass: (raw.energyClass || '').toUpperCase(),
+    energyLabelUrl: raw.energyLabelUrl || '',
+    productSheetUrl: raw.productSheetUrl || '',
+    breadcrumb: raw.breadcrumb || null,
+  };
+}
+
+/**
+ * Gets every product in the catalog
+ * @returns {Promise<Array<Product>>} Products
+ */
+export async function getProducts() {
+  const baseUrl = await getCatalogBaseUrl();
+  const data = await fetchJson(`${baseUrl}/products`);
+  return Array.isArray(data) ? data.map(toProduct) : [];
+}
+
+/**
+ * Loads products from another JSON source, such as a query index sheet
+ * with product columns
+ * @param {string} url - Source URL
+ * @returns {Promise<Array<Product>>} Products
+ */
+export async function getProductsFrom(url) {
+  const data = await fetchJson(url);
+  // accept a bare array or a spreadsheet-style { data: [...] } response
+  const rows = Array.isArray(data) ? data : (data?.data || []);
+  return rows
+    .filter((row) => row.sku)
+    .map((row) => toProduct({
+      ...row,
+      // sheet cells hold lists as comma-separated text and a single image
+      sizes: typeof row.sizes === 'string' ? row.sizes.split(',').map((s) => s.trim()).filter(Boolean) : row.sizes,
+      galleryImages: row.galleryImages || (row.image ? [{ src: row.image }] : []),
+    }));
+}
+
+/**
+ * Looks up a product by SKU
+ * @param {string} sku - Product SKU
+ * @returns {Promise<Product|null>} Product, or null when the SKU is not in the catalog
+ */
+export async function getProduct(sku) {
+  const normalizedSku = normalizeSku(sku);
+  if (!normalizedSku) return null;
+  const products = await getProducts();
+  return products.find((product) => product.sku === normalizedSku) || null;
+}
+
+/**
+ * Reads product data embedded in the page, so it is available without a request
+ * Looks in the given element first (an authored code block holding the JSON),
+ * then for a pre-rendered `<script type="application/json" data-product>` tag.
+ * @param {string} sku - Product SKU the data must belong to
+ * @param {Element} [container] - Element that may hold inline product JSON
+ * @returns {Product|null} Product, or null when the page has no data for the SKU
+ */
+export function getEmbeddedProduct(sku, container) {
+  const normalizedSku = normalizeSku(sku);
+  if (!normalizedSku) return null;
+  const sources = [
+    container?.querySelector('pre, code'),
+    document.querySelector('script[type="application/json"][data-product]'),
+  ];
+  for (let i = 0; i < sources.length; i += 1) {
+    if (sources[i]) {
+      try {
+        const raw = JSON.parse(sources[i].textContent);
+        if (normalizeSku(raw?.sku) === normalizedSku) return toProduct(raw);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn('Ignoring invalid embedded product data:', error);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads key specifications from another JSON source, such as an authored
+ * key-spec resource
+ * @param {string} url - Source URL
+ * @returns {Promise<Array<Spec>>} Specifications
+ */
+export async function getSpecsFrom(url) {
+  const data = await fetchJson(url);
+
+  // API returns nested array: [[{spec1}, {spec2}, ...]]
+  if (Array.isArray(data) && data.length > 0) {
+    return Array.isArray(data[0]) ? data[0] : data;
+  }
+  return [];
+}
+
+/**
+ * Gets the key specifications for a product
+ * Uses the product's own specs when present, otherwise the shared key-spec resource.
+ * @param {string} sku - Product SKU
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.shared] - Fall back to the shared resource; turn it
+ * off where specs must belong to the product itself, e.g. comparisons
+ * @returns {Promise<Array<Spec>>} Specifications
+ */
+export async function getProductSpecs(sku, { shared = true } = {}) {
+  const product = await getProduct(sku).catch(() => null);
+  if (product?.specs?.length) return product.specs;
+  if (!shared) return [];
+
+  const baseUrl = await getCatalogBaseUrl();
+  return getSpecsFrom(`${baseUrl}/key-spec`);
+}
+
+/**
+ * Flattens the two-column spec rows into label/value pairs
+ * @param {Array<Spec>} specs - Key-spec rows
+ * @returns {Map<string, string>} Values by label
+ */
+export function flattenSpecs(specs) {
+  const values = new Map();
+  (specs || []).forEach((spec) => {
+    if (spec.leftLabel) values.set(spec.leftLabel, spec.leftValue);
+    if (spec.rightLabel) values.set(spec.rightLabel, spec.rightValue);
+  });
+  return values;
+}
+
+/**
+ * Builds the breadcrumb items shown for a product
+ * Uses the catalog trail when available, otherwise links the product to the
+ * home page of the country site.
+ * @param {Array<BreadcrumbItem>|null} breadcrumb - Breadcrumb from the catalog
+ * @param {string} sku - Product SKU, used as the current page label
+ * @returns {Array<BreadcrumbItem>} Breadcrumb items
+ */
+export function getBreadcrumbItems(breadcrumb, sku) {
+  if (Array.isArray(breadcrumb) && breadcrumb.length) return breadcrumb;
+  return [
+    { label: 'Home', url: getLocalePath('/') },
+    { label: sku || 'Product', url: null },
+  ];
+}
+
+/**
+ * Gets the rows of the query index
+ * Read from the `query-index` page metadata, then from the `query-index` key
+ * of the /config.json sheet, then from /query-index.json.
+ * @returns {Promise<Array<Object>>} Index rows ({ path, title, ... })
+ */
+export async function getQueryIndex() {
+  const url = getMetadata('query-index') || await getConfigValue('query-index') || DEFAULT_QUERY_INDEX_URL;
+  const data = await fetchJson(url);
+  // accept a bare array or a spreadsheet-style { data: [...] } response
+  return Array.isArray(data) ? data : (data?.data || []);
+}
+
+/**
+ * Turns a URL segment into a label, for pages missing from the query index
+ * 'tv-and-soundbars' → 'Tv and soundbars'
+ * @param {string} segment - URL segment
+ * @returns {string} Label
+ */
+function toLabel(segment) {
+  const words = decodeURIComponent(segment).replace(/[-_]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Splits a path into its URL levels below the locale prefix
+ * @param {string} pathname - Path
+ * @returns {{ prefix: string, segments: Array<string> }} Locale prefix ('' when
+ * the path has none) and URL levels
+ */
+function getPathSegments(pathname) {
+  const { prefix } = getPageLocale(pathname);
+  return { prefix, segments: pathname.slice(prefix.length).split('/').filter((s) => s) };
+}
+
+/**
+ * Builds the trail from Home down to a path, one item per URL level
+ * Each level is named after its `breadcrumb-title`, or else its title, in the
+ * query index. Levels without a page of their own are shown unlinked. Home is
+ * the home page of the path's country site, or of the current one when the
+ * path has no locale prefix.
+ * @param {string} pathname - Path of the last level
+ * @returns {Promise<Array<BreadcrumbItem>>} Breadcrumb items, Home first
+ */
+async function getPathTrail(pathname) {
+  let rows = null;
+  try {
+    rows = await getQueryIndex();
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('Query index is unavailable for breadcrumbs:', error);
+  }
+  const pages = new Map((rows || []).map((row) => [String(row.path || '').replace(/\/$/, ''), row]));
+
+  const { prefix, segments } = getPathSegments(pathname);
+  return [
+    { label: 'Home', url: getLocalePath(`${prefix}/`) },
+    ...segments.map((segment, i) => {
+      const path = `${prefix}/${segments.slice(0, i + 1).join('/')}`;
+      const page = pages.get(path);
+      return {
+        label: page?.['breadcrumb-title'] || page?.title || toLabel(segment),
+        // without an index to check against, assume every level has a page
+        url: page || !rows ? path : null,
+      };
+    }),
+  ];
+}
+
+/**
+ * Gets the breadcrumb trail for a content page
+ * The page itself is labelled by its `breadcrumb-title` metadata when set.
+ * @param {string} [pathname] - Page path, defaults to the current page
+ * @returns {Promise<Array<BreadcrumbItem>>} Breadcrumb items, empty on a home page
+ */
+export async function getPageBreadcrumb(pathname = window.location.pathname) {
+  if (!getPathSegments(pathname).segments.length) return [];
+  const items = await getPathTrail(pathname);
+  const current = items[items.length - 1];
+  if (pathname === window.location.pathname && getMetadata('breadcrumb-title')) {
+    current.label = getMetadata('breadcrumb-title');
+  }
+  current.url = null;
+  return items;
+}
+
+/**
+ * Gets the breadcrumb trail for a product
+ * Uses the catalog trail when the product has one, otherwise the trail of its
+ * category page, with the product at the end. Either way the links point at
+ * the current country site.
+ * @param {Product} product - Product
+ * @returns {Promise<Array<BreadcrumbItem>>} Breadcrumb items
+ */
+export async function getProductBreadcrumb(product) {
+  if (product.breadcrumb?.length) {
+    return product.breadcrumb.map(({ label, url }) => ({ label, url: url && getLocalePath(url) }));
+  }
+  const label = product.shortName || product.name || product.sku;
+  if (!product.category) return getBreadcrumbItems(null, label);
+  return [...await getPathTrail(getLocalePath(product.category)), { label, url: null }];
+}
+
+/**
+ * Gets the breadcrumb trail for a product
+ * @param {string} sku - Product SKU
+ * @returns {Promise<Array<BreadcrumbItem>|null>} Breadcrumb items
+ */
+export async function getBreadcrumb(sku) {
+  const product = await getProduct(sku);
+  return product ? getProductBreadcrumb(product) : null;
+}
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} sku - Variant SKU
+ * @property {string} size - Size label, e.g. '55"'
+ * @property {string} [colour] - Colour label
+ */
+
+/**
+ * Gets the size/colour variants of a product
+ * Uses the product's own variants when present. Otherwise each size is matched
+ * to the catalog SKU that differs only in its size digits
+ * (OLED55G54LW → OLED65G54LW), and sizes without one are left out.
+ * @param {Product} product - Product
+ * @returns {Promise<Array<Variant>>} Variants
+ */
+export async function getVariants(product) {
+  if (product.variants?.length) {
+    return product.variants.map((variant) => ({ ...variant, sku: normalizeSku(variant.sku) }));
+  }
+
+  const currentDigits = (product.selectedSize || '').replace(/\D/g, '');
+  if (!currentDigits || !product.sku.includes(currentDigits)) return [];
+  const products = await getProducts().catch(() => []);
+  const skus = new Set(products.map((p) => p.sku));
+  return (product.sizes || [])
+    .map((size) => ({ sku: product.sku.replace(currentDigits, size.replace(/\D/g, '')), size }))
+    .filter(({ sku, size }) => size === product.selectedSize
+      || (sku !== product.sku && skus.has(sku)));
+}
+
+/**
+ * Loads the product data for a variant
+ * Falls back to the base product with the variant's own overrides when an
+ * explicit variant is not in the catalog.
+ * @param {Product} product - Base product
+ * @param {Variant} variant - Selected variant
+ * @returns {Promise<Product>} Variant product
+ */
+export async function getVariantProduct(product, variant) {
+  const variantProduct = await getProduct(variant.sku).catch(() => null);
+  const { sku, size, colour } = variant;
+  if (variantProduct) {
+    return {
+      ...variantProduct,
+      selectedSize: size,
+      selectedColour: colour,
+      variants: variantProduct.variants || product.variants,
+    };
+  }
+  const breadcrumb = product.breadcrumb?.map((item) => (
+    item.label === product.sku ? { ...item, label: sku } : item
+  ));
+  return toProduct({
+    ...product,
+    ...variant,
+    sku,
+    selectedSize: size,
+    selectedColour: colour,
+    breadcrumb,
+  });
+}
+
+export const PRODUCT_CHANGE_EVENT = 'catalog:product-change';
+
+let currentProduct = null;
+
+/**
+ * Gets the product currently shown on the page
+ * @returns {Product|null} Current product
+ */
+export function getCurrentProduct() {
+  return currentProduct;
+}
+
+/**
+ * Sets the product currently shown on the page and notifies listeners
+ * @param {Product} product - Current product
+ */
+export function setCurrentProduct(product) {
+  currentProduct = product;
+  document.dispatchEvent(new CustomEvent(PRODUCT_CHANGE_EVENT, { detail: { product } }));
+}
+
+/**
+ * Subscribes to changes of the product shown on the page (e.g. variant switches)
+ * @param {Function} callback - Called with the new product
+ * @returns {Function} Unsubscribe function
+ */
+export function onProductChange(callback) {
+  const handler = (e) => callback(e.detail.product);
+  document.addEventListener(PRODUCT_CHANGE_EVENT, handler);
+  return () => document.removeEventListener(PRODUCT_CHANGE_EVENT, handler);
+}
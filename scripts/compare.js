@@ -0,0 +1,97 @@
+/**
+ * Compare tray
+ * Keeps up to four products the shopper wants to compare in localStorage.
+ *
+ * Item structure:
+ * { sku: 'OLED55G54LW', name: '55 inch LG OLED evo AI G5', image: 'https://...' }
+ */
+
+const STORAGE_KEY = 'lg-compare';
+
+export const MAX_COMPARE_ITEMS = 4;
+export const COMPARE_CHANGE_EVENT = 'compare:change';
+
+/**
+ * Reads the compare tray from localStorage
+ * @returns {Array} Compare items
+ */
+export function getCompareItems() {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(items)) return items;
+  } catch (e) {
+    // do nothing
+  }
+  return [];
+}
+
+/**
+ * Writes the compare tray and notifies listeners
+ * @param {Array} items - Compare items
+ */
+function writeItems(items) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  } catch (e) {
+    // do nothing
+  }
+  document.dispatchEvent(new CustomEvent(COMPARE_CHANGE_EVENT, { detail: { items } }));
+}
+
+/**
+ * Checks whether a product is in the compare tray
+ * @param {string} sku - Product SKU
+ * @returns {boolean} True when the product is in the tray
+ */
+export function isInCompare(sku) {
+  return getCompareItems().some((item) => item.sku === sku);
+}
+
+/**
+ * Adds a product to the compare tray
+ * @param {Object} product - Product ({ sku, name, image })
+ * @returns {boolean} False when the tray is already full
+ */
+export function addToCompare(product) {
+  const items = getCompareItems();
+  if (items.some((item) => item.sku === product.sku)) return true;
+  if (items.length >= MAX_COMPARE_ITEMS) return false;
+  items.push({ sku: product.sku, name: product.name, image: product.image || '' });
+  writeItems(items);
+  return true;
+}
+
+/**
+ * Removes a product from the compare tray
+ * @param {string} sku - Product SKU
+ */
+export function removeFromCompare(sku) {
+  writeItems(getCompareItems().filter((item) => item.sku !== sku));
+}
+
+/**
+ * Empties the compare tray
+ */
+export function clearCompare() {
+  writeItems([]);
+}
+
+/**
+ * Subscribes to compare tray changes from this tab and from other open tabs
+ * @param {Function} callback - Called with the compare items
+ * @returns {Function} Unsubscribe function
+ */
+export function onCompareChange(callback) {
+  const handler = (e) => callback(e.detail.items);
+  document.addEventListener(COMPARE_CHANGE_EVENT, handler);
+  return () => document.removeEventListener(COMPARE_CHANGE_EVENT, handler);
+}
+
+// keep open tabs in sync
+window.addEventListener('storage', (e) => {
+  if (e.key === STORAGE_KEY) {
+    document.dispatchEvent(new CustomEvent(COMPARE_CHANGE_EVENT, {
+      detail: { items: getCompareItems() },
+    }));
+  }
+});
@@ -0,0 +1,90 @@
+/**
+ * Country selector
+ * Lists the country sites and links each one to the equivalent of the
+ * current page there. Shown in the header top bar and in the footer; each
+ * block styles it through its own class.
+ */
+
+import {
+  LOCALES,
+  getAlternatePath,
+  getPageLocale,
+  getPlaceholderText,
+  getPlaceholders,
+} from './locale.js';
+
+let count = 0;
+
+/**
+ * Opens or closes the list
+ * @param {Element} toggle The selector button
+ * @param {Element} list The list of sites
+ * @param {boolean} open Whether the list should be open
+ */
+function toggleList(toggle, list, open) {
+  list.hidden = !open;
+  toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+  if (open) (list.querySelector('[aria-current]') || list.querySelector('a'))?.focus();
+}
+
+/**
+ * Creates a country selector
+ * The button is labelled in English until the placeholders have loaded.
+ * @param {string} className Class of the surrounding block's variant, e.g. 'nav-country-selector'
+ * @returns {Element} Selector element
+ */
+export default function createCountrySelector(className) {
+  const current = getPageLocale();
+  count += 1;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = `country-selector ${className}`;
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'country-selector-toggle';
+  toggle.textContent = current.label;
+  toggle.setAttribute('aria-label', `Change country or language, ${current.label}`);
+  toggle.setAttribute('aria-controls', `country-selector-${count}`);
+  toggle.setAttribute('aria-expanded', 'false');
+
+  const list = document.createElement('ul');
+  list.className = 'country-selector-list';
+  list.id = `country-selector-${count}`;
+  list.hidden = true;
+  list.append(...Object.entries(LOCALES).map(([key, locale]) => {
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.className = 'country-selector-link';
+    a.href = locale.home;
+    a.lang = locale.lang;
+    a.hreflang = locale.lang;
+    a.textContent = locale.label;
+    if (key === current.key) a.setAttribute('aria-current', 'true');
+    // point at the equivalent page once the alternates sheet has loaded
+    getAlternatePath(key).then((path) => { a.href = path; });
+    li.append(a);
+    return li;
+  }));
+  wrapper.append(toggle, list);
+
+  getPlaceholders().then((placeholders) => {
+    const label = getPlaceholderText(placeholders, 'changeCountry', 'Change country or language');
+    toggle.setAttribute('aria-label', `${label}, ${current.label}`);
+  });
+
+  toggle.addEventListener('click', () => toggleList(toggle, list, list.hidden));
+
+  // close on Escape and on clicks outside the selector
+  wrapper.addEventListener('keydown', (e) => {
+    if (e.code === 'Escape' && !list.hidden) {
+      toggleList(toggle, list, false);
+      toggle.focus();
+    }
+  });
+  document.addEventListener('click', (e) => {
+    if (!list.hidden && !wrapper.contains(e.target)) toggleList(toggle, list, false);
+  });
+
+  return wrapper;
+}
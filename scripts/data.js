@@ -0,0 +1,86 @@
+/**
+ * Data requests
+ * Fetches the JSON the site runs on (catalog API responses, spreadsheets) and
+ * reads the /config.json sheet. Requests are de-duplicated while in flight and
+ * cached for the session.
+ */
+
+const CONFIG_PATH = '/config.json';
+const CACHE_PREFIX = 'lg-catalog:';
+const CACHE_TTL = 15 * 60 * 1000;
+
+const inflight = new Map();
+let configPromise;
+
+/**
+ * Reads a cached response from sessionStorage
+ * @param {string} url - Request URL
+ * @returns {*} Cached data or undefined
+ */
+function readCache(url) {
+  try {
+    const entry = JSON.parse(sessionStorage.getItem(`${CACHE_PREFIX}${url}`));
+    if (entry && Date.now() - entry.time < CACHE_TTL) return entry.data;
+  } catch (e) {
+    // do nothing
+  }
+  return undefined;
+}
+
+/**
+ * Stores a response in sessionStorage
+ * @param {string} url - Request URL
+ * @param {*} data - Response data
+ */
+function writeCache(url, data) {
+  try {
+    sessionStorage.setItem(`${CACHE_PREFIX}${url}`, JSON.stringify({ time: Date.now(), data }));
+  } catch (e) {
+    // do nothing
+  }
+}
+
+/**
+ * Fetches JSON, sharing in-flight requests and caching responses for the session
+ * @param {string} url - Request URL
+ * @returns {Promise<*>} Response data
+ */
+export async function fetchJson(url) {
+  const cached = readCache(url);
+  if (cached !== undefined) return cached;
+
+  if (!inflight.has(url)) {
+    const request = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then((data) => {
+        writeCache(url, data);
+        return data;
+      })
+      .finally(() => inflight.delete(url));
+    inflight.set(url, request);
+  }
+
+  return inflight.get(url);
+}
+
+/**
+ * Reads a value from the /config.json sheet
+ * @param {string} key - Config key
+ * @returns {Promise<string>} Config value or empty string
+ */
+export async function getConfigValue(key) {
+  // one request per page, including when the site has no config sheet
+  if (!configPromise) {
+    configPromise = fetchJson(CONFIG_PATH)
+      .then(({ data = [] }) => data)
+      .catch(() => []);
+  }
+  const data = await configPromise;
+  const row = data.find((r) => (r.key || r.Key || '').toLowerCase() === key);
+  return row ? (row.value || row.Value || '') : '';
+}
@@ -0,0 +1,136 @@
+/**
+ * Delivery estimator
+ * Looks up delivery options and earliest delivery dates for a postcode.
+ *
+ * Rules are read from the `delivery-rules` page metadata, then from the
+ * `delivery-rules` key of the /config.json sheet, then from the local table at
+ * /data/delivery-rules.json. Each row is one delivery option for a postcode
+ * area; rows with an empty prefix apply everywhere else:
+ * { prefix: 'BT', option: 'Standard Delivery', price: 0, minDays: 3, maxDays: 5, cutoff: 14 }
+ *
+ * The last postcode checked is remembered for the session.
+ */
+
+import { getMetadata } from './aem.js';
+import { fetchJson, getConfigValue } from './data.js';
+
+const DEFAULT_RULES_URL = '/data/delivery-rules.json';
+const POSTCODE_KEY = 'lg-delivery-postcode';
+const DEFAULT_CUTOFF_HOUR = 14;
+const NO_DELIVERY_DAYS = [0]; // Sunday
+
+const POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?) ?(\d[A-Z]{2})$/;
+
+/**
+ * @typedef {Object} DeliveryOption
+ * @property {string} label - Option name
+ * @property {number} price - Delivery charge, 0 when free
+ * @property {Date} earliestDate - Earliest delivery date
+ * @property {Date} latestDate - Latest expected delivery date
+ */
+
+/**
+ * Normalizes a UK postcode (uppercase, single space before the inward code)
+ * @param {string} postcode - Postcode as typed
+ * @returns {string} Normalized postcode, or empty string when invalid
+ */
+export function normalizePostcode(postcode) {
+  const match = (postcode || '').toUpperCase().replace(/\s+/g, '').match(POSTCODE_PATTERN);
+  return match ? `${match[1]} ${match[2]}` : '';
+}
+
+/**
+ * Gets the postcode remembered for this session
+ * @returns {string} Postcode or empty string
+ */
+export function getSavedPostcode() {
+  try {
+    return sessionStorage.getItem(POSTCODE_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Remembers the postcode for this session
+ * @param {string} postcode - Normalized postcode
+ */
+export function savePostcode(postcode) {
+  try {
+    sessionStorage.setItem(POSTCODE_KEY, postcode);
+  } catch (e) {
+    // do nothing
+  }
+}
+
+/**
+ * Loads the delivery rules table
+ * @returns {Promise<Array<Object>>} Rule rows
+ */
+async function getDeliveryRules() {
+  const url = getMetadata('delivery-rules') || await getConfigValue('delivery-rules') || DEFAULT_RULES_URL;
+  const data = await fetchJson(url);
+  // accept a bare array or a spreadsheet-style { data: [...] } response
+  return Array.isArray(data) ? data : (data?.data || []);
+}
+
+/**
+ * Adds delivery days to a date, skipping days without deliveries
+ * @param {Date} from - Start date
+ * @param {number} days - Number of delivery days
+ * @returns {Date} Resulting date
+ */
+function addDeliveryDays(from, days) {
+  const date = new Date(from);
+  let remaining = days;
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    if (!NO_DELIVERY_DAYS.includes(date.getDay())) remaining -= 1;
+  }
+  return date;
+}
+
+/**
+ * Gets the delivery options for a postcode
+ * The rows for the longest matching postcode prefix are used; orders placed
+ * after an option's cut-off hour are dispatched the next day. Pre-order
+ * products are not delivered before their release date.
+ * @param {string} postcode - Normalized postcode
+ * @param {Object} [product] - Product ({ availability, releaseDate })
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<DeliveryOption>>} Delivery options, earliest first
+ */
+export async function getDeliveryOptions(postcode, product = {}, now = new Date()) {
+  if (product.availability === 'out-of-stock') return [];
+
+  const rules = await getDeliveryRules();
+  const area = postcode.split(' ')[0];
+  const prefixes = [...new Set(rules.map((rule) => (rule.prefix || '').toUpperCase()))]
+    .filter((prefix) => prefix && (area === prefix || (area.startsWith(prefix) && /\d/.test(area[prefix.length]))))
+    .sort((a, b) => b.length - a.length);
+  const prefix = prefixes[0] || '';
+  const releaseDate = product.availability === 'pre-order' && product.releaseDate
+    ? new Date(product.releaseDate)
+    : null;
+
+  return rules
+    .filter((rule) => (rule.prefix || '').toUpperCase() === prefix)
+    .map((rule) => {
+      // an authored cutoff of 0 means midnight, so only a blank cell uses the default
+      const authoredCutoff = String(rule.cutoff ?? '').trim();
+      const cutoff = authoredCutoff && !Number.isNaN(Number(authoredCutoff))
+        ? Number(authoredCutoff)
+        : DEFAULT_CUTOFF_HOUR;
+      const dispatch = new Date(now);
+      if (now.getHours() >= cutoff) dispatch.setDate(dispatch.getDate() + 1);
+      const start = releaseDate && releaseDate > dispatch ? releaseDate : dispatch;
+      const minDays = Number(rule.minDays) || 1;
+      return {
+        label: rule.option,
+        price: Number(rule.price) || 0,
+        earliestDate: addDeliveryDays(start, minDays),
+        latestDate: addDeliveryDays(start, Math.max(Number(rule.maxDays) || minDays, minDays)),
+      };
+    })
+    .sort((a, b) => a.earliestDate - b.earliestDate || a.price - b.price);
+}
@@ -0,0 +1,99 @@
+/**
+ * DOM helpers
+ * Small utilities shared by blocks that build markup from data or manage
+ * focus and gestures for overlays (drawers, dialogs, menus).
+ */
+
+const FOCUSABLE = [
+  '[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * Escapes text before it is placed in HTML, including attribute values
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns the focusable elements inside a container
+ * @param {Element} container - Container element
+ * @returns {Array<Element>} Focusable elements
+ */
+function getFocusable(container) {
+  return [...container.querySelectorAll(FOCUSABLE)]
+    .filter((el) => !el.hidden);
+}
+
+/**
+ * Keeps keyboard focus inside a container while it is open
+ * @param {Element} container - Container element
+ * @param {KeyboardEvent} e - Keydown event
+ */
+export function trapFocus(container, e) {
+  if (e.key !== 'Tab') return;
+  const focusable = getFocusable(container);
+  if (!focusable.length) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Detects horizontal swipes on an element
+ * @param {Element} element - Element to watch
+ * @param {Function} onSwipe - Called with -1 (swipe right, previous) or 1 (swipe left, next)
+ * @param {Function} [isEnabled] - Swipes are ignored while this returns false
+ */
+export function addSwipeListener(element, onSwipe, isEnabled = () => true) {
+  let startX = null;
+  let startY = null;
+
+  element.addEventListener('pointerdown', (e) => {
+    if (!e.isPrimary) return;
+    startX = e.clientX;
+    startY = e.clientY;
+  });
+
+  element.addEventListener('pointerup', (e) => {
+    if (startX === null || !isEnabled()) return;
+    const dx = e.clientX - startX;
+    const dy = e.clientY - startY;
+    startX = null;
+    if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+      element.dataset.swiped = 'true';
+      onSwipe(dx < 0 ? 1 : -1);
+    }
+  });
+
+  element.addEventListener('pointercancel', () => {
+    startX = null;
+  });
+
+  // swallow the click that ends a swipe
+  element.addEventListener('click', (e) => {
+    if (element.dataset.swiped === 'true') {
+      delete element.dataset.swiped;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
+  }, true);
+}
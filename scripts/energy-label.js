@@ -0,0 +1,114 @@
+/**
+ * EU energy label
+ * Builds the energy class badge for a product and opens the full label in a
+ * modal with a link to the product information sheet.
+ *
+ * Product fields used:
+ * - energyClass: 'A' to 'G' (or 'A+++' to 'D' on the older appliance scale)
+ * - energyScale: optional, 'A-G' (default) or 'A+++-D'
+ * - energyLabelUrl: image of the full label
+ * - productSheetUrl: product information sheet (PDF)
+ */
+
+import { loadCSS } from './aem.js';
+
+// Arrow colours of the EU label, from most to least efficient
+const CLASS_COLOURS = ['#00a651', '#50b848', '#bed630', '#fff200', '#fdb913', '#f37021', '#ed1c24'];
+
+const SCALES = {
+  'A-G': ['A', 'B', 'C', 'D', 'E', 'F', 'G'],
+  'A+++-D': ['A+++', 'A++', 'A+', 'A', 'B', 'C', 'D'],
+};
+
+/**
+ * Loads the energy label styles (once)
+ */
+function loadStyles() {
+  loadCSS(`${window.hlx?.codeBasePath || ''}/styles/energy-label.css`);
+}
+
+/**
+ * Gets the energy class and its scale for a product
+ * @param {Object} product - Product
+ * @returns {{ energyClass: string, scale: Array<string>, index: number }|null}
+ *   Class details, or null when the product has no valid class
+ */
+export function getEnergyClass(product) {
+  const energyClass = (product?.energyClass || '').toUpperCase().replace(/\s/g, '');
+  if (!energyClass) return null;
+  const scaleName = product.energyScale || (energyClass.includes('+') ? 'A+++-D' : 'A-G');
+  const scale = SCALES[scaleName] || SCALES['A-G'];
+  const index = scale.indexOf(energyClass);
+  return index >= 0 ? { energyClass, scale, index } : null;
+}
+
+/**
+ * Create the energy class badge HTML
+ * @param {Object} product - Product
+ * @returns {string} HTML string, empty when the product has no energy class
+ */
+export function createEnergyBadgeHTML(product) {
+  const details = getEnergyClass(product);
+  if (!details) return '';
+  loadStyles();
+
+  const { energyClass, scale, index } = details;
+  return `
+    <button type="button" class="energy-badge" data-energy-class="${energyClass}"
+      style="--energy-colour: ${CLASS_COLOURS[index]}"
+      aria-label="Energy class ${energyClass} on a scale from ${scale[0]} to ${scale[scale.length - 1]}. View energy label">
+      <span class="energy-badge-scale" aria-hidden="true"><span>${scale[0]}</span><span>${scale[scale.length - 1]}</span></span>
+      <span class="energy-badge-class" aria-hidden="true">${energyClass}</span>
+    </button>
+  `;
+}
+
+/**
+ * Opens the full energy label in a modal
+ * @param {Object} product - Product
+ */
+export function openEnergyLabel(product) {
+  const details = getEnergyClass(product);
+  if (!details) return;
+  loadStyles();
+
+  const { energyClass, scale } = details;
+  const opener = document.activeElement;
+  const modal = document.createElement('dialog');
+  modal.className = 'energy-label-modal';
+  modal.setAttribute('aria-label', `Energy label, class ${energyClass}`);
+  modal.innerHTML = `
+    <div class="energy-label-header">
+      <h2>Energy label</h2>
+      <button type="button" class="energy-label-close" aria-label="Close">×</button>
+    </div>
+    <div class="energy-label-body">
+      ${product.energyLabelUrl
+    ? `<img class="energy-label-image" src="${product.energyLabelUrl}" alt="EU energy label for ${product.sku}, energy class ${energyClass}">`
+    : createEnergyBadgeHTML(product)}
+      <p class="energy-label-class">Energy class ${energyClass} on a scale from ${scale[0]} to ${scale[scale.length - 1]}</p>
+      ${product.productSheetUrl ? `
+        <a class="energy-label-sheet" href="${product.productSheetUrl}" target="_blank" rel="noopener" download>
+          Download product information sheet (PDF)
+        </a>
+      ` : ''}
+    </div>
+  `;
+
+  // the badge inside the modal is decorative only
+  const innerBadge = modal.querySelector('.energy-badge');
+  if (innerBadge) innerBadge.disabled = true;
+
+  modal.querySelector('.energy-label-close').addEventListener('click', () => modal.close());
+  // close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.close();
+  });
+  modal.addEventListener('close', () => {
+    modal.remove();
+    if (opener) opener.focus();
+  });
+
+  document.body.append(modal);
+  modal.showModal();
+}
@@ -0,0 +1,131 @@
+/**
+ * Finance and subscription plans
+ * Works out monthly payments for the "Monthly LG" finance and the
+ * "LG Flex with Raylo" subscription offers.
+ *
+ * Plans are read from the `finance-plans` page metadata, then from the
+ * `finance-plans` key of the /config.json sheet, then from the local table at
+ * /data/finance-plans.json. Finance rows give a term and a representative APR;
+ * subscription rows give a term and a monthly rate as a percentage of the
+ * price. `minPrice` limits a plan to products costing at least that much:
+ * { type: 'finance', name: 'Monthly LG', term: 36, apr: 9.9, minPrice: 499 }
+ * { type: 'subscription', name: 'LG Flex with Raylo', term: 24, rate: 3.6, minPrice: 399 }
+ */
+
+import { getMetadata } from './aem.js';
+import { fetchJson, getConfigValue } from './data.js';
+
+const DEFAULT_PLANS_URL = '/data/finance-plans.json';
+
+export const PLAN_TYPES = ['finance', 'subscription'];
+
+/**
+ * @typedef {Object} Plan
+ * @property {string} id - Plan id, e.g. 'finance-36'
+ * @property {string} type - 'finance' or 'subscription'
+ * @property {string} name - Offer name
+ * @property {number} term - Term in months
+ * @property {number} apr - Representative APR in percent (finance)
+ * @property {number} rate - Monthly rate in percent of the price (subscription)
+ * @property {number} minPrice - Lowest product price the plan is offered for
+ */
+
+/**
+ * Rounds an amount to pennies
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Converts a plan row
+ * @param {Object} row - Plan row
+ * @returns {Plan} Plan
+ */
+function toPlan(row) {
+  const type = (row.type || '').toLowerCase();
+  const term = Number(row.term) || 0;
+  return {
+    id: row.id || `${type}-${term}`,
+    type,
+    name: row.name || '',
+    term,
+    apr: Number(row.apr) || 0,
+    rate: Number(row.rate) || 0,
+    minPrice: Number(row.minPrice) || 0,
+  };
+}
+
+/**
+ * Loads the finance and subscription plans
+ * @returns {Promise<Array<Plan>>} Plans, shortest term first
+ */
+export async function getFinancePlans() {
+  const url = getMetadata('finance-plans') || await getConfigValue('finance-plans') || DEFAULT_PLANS_URL;
+  const data = await fetchJson(url);
+  // accept a bare array or a spreadsheet-style { data: [...] } response
+  const rows = Array.isArray(data) ? data : (data?.data || []);
+  return rows
+    .map(toPlan)
+    .filter((plan) => PLAN_TYPES.includes(plan.type) && plan.term > 0)
+    .sort((a, b) => a.term - b.term);
+}
+
+/**
+ * Gets the plans offered for a price
+ * @param {Array<Plan>} plans - Plans
+ * @param {number} price - Product price
+ * @param {string} type - 'finance' or 'subscription'
+ * @returns {Array<Plan>} Plans
+ */
+export function getPlansForPrice(plans, price, type) {
+  return plans.filter((plan) => plan.type === type && price >= plan.minPrice);
+}
+
+/**
+ * Works out the repayments of a finance plan
+ * The APR is the effective annual rate, so the monthly interest rate is its
+ * twelfth root.
+ * @param {number} price - Amount borrowed
+ * @param {Plan} plan - Finance plan
+ * @returns {Object} Repayments ({ monthly, totalPayable, interest, interestRate })
+ */
+export function getFinanceRepayments(price, plan) {
+  const monthlyRate = (1 + plan.apr / 100) ** (1 / 12) - 1;
+  const monthly = monthlyRate
+    ? (price * monthlyRate) / (1 - (1 + monthlyRate) ** -plan.term)
+    : price / plan.term;
+  const rounded = roundMoney(monthly);
+  const totalPayable = roundMoney(rounded * plan.term);
+  return {
+    monthly: rounded,
+    totalPayable,
+    interest: roundMoney(Math.max(totalPayable - price, 0)),
+    // fixed annual interest rate shown in the representative example
+    interestRate: roundMoney(monthlyRate * 12 * 100),
+  };
+}
+
+/**
+ * Gets the monthly payment of a plan
+ * @param {number} price - Product price
+ * @param {Plan} plan - Finance or subscription plan
+ * @returns {number} Monthly payment
+ */
+export function getMonthlyPayment(price, plan) {
+  if (plan.type === 'subscription') return roundMoney((price * plan.rate) / 100);
+  return getFinanceRepayments(price, plan).monthly;
+}
+
+/**
+ * Describes a plan, e.g. for the sticky header and the cart
+ * @param {Plan} plan - Finance or subscription plan
+ * @returns {string} Description, e.g. '36 months at 9.9% APR'
+ */
+export function describePlan(plan) {
+  return plan.type === 'subscription'
+    ? `${plan.term} month subscription`
+    : `${plan.term} months at ${plan.apr}% APR`;
+}
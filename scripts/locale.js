@@ -0,0 +1,144 @@
+/**
+ * Locale
+ * Works out the shopper's country site from the first segment of the URL path
+ * (/uk/, /de/, /fr/) and resolves what differs between sites.
+ *
+ * - Pages without a locale prefix belong to the UK site
+ * - Site-root paths (/nav, /footer, /fragments/…) resolve under the prefix
+ * - Placeholders (translated UI strings) load from <prefix>/placeholders.json;
+ *   blocks fall back to their English text for keys the sheet leaves out
+ * - Equivalent pages across sites come from an authored alternates sheet,
+ *   read from the `locale-alternates` page metadata, then from the
+ *   `locale-alternates` key of the /config.json sheet, then from
+ *   /locale-alternates.json. It has one column per locale key, e.g.
+ *   { uk: '/tv-and-soundbars', de: '/de/fernseher', fr: '/fr/televiseurs' }
+ */
+
+import { getMetadata, toCamelCase } from './aem.js';
+import { fetchJson, getConfigValue } from './data.js';
+
+/**
+ * @typedef {Object} Locale
+ * @property {string} key - Locale key, also its path prefix, e.g. 'de'
+ * @property {string} lang - BCP 47 language tag, e.g. 'de-DE'
+ * @property {string} currency - ISO 4217 currency code
+ * @property {string} label - Country and language, in that language
+ * @property {string} home - Home page path
+ */
+
+/**
+ * Country sites, in the order the country selector lists them
+ */
+export const LOCALES = {
+  uk: {
+    lang: 'en-GB', currency: 'GBP', label: 'United Kingdom – English', home: '/',
+  },
+  de: {
+    lang: 'de-DE', currency: 'EUR', label: 'Deutschland – Deutsch', home: '/de/',
+  },
+  fr: {
+    lang: 'fr-FR', currency: 'EUR', label: 'France – Français', home: '/fr/',
+  },
+};
+
+const DEFAULT_LOCALE = 'uk';
+const DEFAULT_ALTERNATES_URL = '/locale-alternates.json';
+
+const placeholderSheets = new Map();
+
+/**
+ * Gets the locale of a page
+ * @param {string} [pathname] - Page path, defaults to the current page
+ * @returns {Locale & { prefix: string }} Locale, with the path prefix the page
+ * uses ('' for unprefixed UK pages)
+ */
+export function getPageLocale(pathname = window.location.pathname) {
+  const [segment = ''] = pathname.split('/').filter((s) => s);
+  const key = segment.toLowerCase();
+  if (LOCALES[key]) return { key, ...LOCALES[key], prefix: `/${segment}` };
+  return { key: DEFAULT_LOCALE, ...LOCALES[DEFAULT_LOCALE], prefix: '' };
+}
+
+/**
+ * Resolves a site-root path for the current locale
+ * '/footer' → '/de/footer' on German pages. Paths that already start with a
+ * locale prefix are left alone.
+ * @param {string} path - Site-root path
+ * @returns {string} Locale path
+ */
+export function getLocalePath(path) {
+  const [segment = ''] = path.split('/').filter((s) => s);
+  if (LOCALES[segment.toLowerCase()]) return path;
+  return `${getPageLocale().prefix}${path}`;
+}
+
+/**
+ * Turns the rows of a placeholders sheet into text by key
+ * @param {Object} sheet - Sheet response ({ data: [{ Key, Text }] })
+ * @returns {Object<string, string>} Text by camel-cased key
+ */
+function toPlaceholders({ data = [] }) {
+  const rows = data.filter((row) => row.Key || row.key);
+  return Object.fromEntries(rows.map((row) => [toCamelCase(row.Key || row.key), row.Text || row.text || '']));
+}
+
+/**
+ * Gets the placeholders (translated UI strings) of the current locale
+ * Keys are camel-cased, so a `Country Selector` row is read as countrySelector.
+ * @returns {Promise<Object<string, string>>} Text by key, empty when the sheet is missing
+ */
+export async function getPlaceholders() {
+  const url = getLocalePath('/placeholders.json');
+  if (!placeholderSheets.has(url)) {
+    placeholderSheets.set(url, fetchJson(url).then(toPlaceholders).catch(() => ({})));
+  }
+  return placeholderSheets.get(url);
+}
+
+/**
+ * Looks up a placeholder, falling back to the English text
+ * `{name}` tokens are filled in from values, so an authored 'Ihr Warenkorb
+ * ({count})' row works like the 'Your cart ({count})' fallback.
+ * @param {Object<string, string>} placeholders - Placeholders from getPlaceholders
+ * @param {string} key - Camel-cased key, e.g. 'continueShopping'
+ * @param {string} fallback - English text, used when the sheet has no row for the key
+ * @param {Object<string, string|number>} [values] - Token values
+ * @returns {string} Text
+ */
+export function getPlaceholderText(placeholders, key, fallback, values = {}) {
+  const text = placeholders?.[key] || fallback;
+  return text.replace(/\{(\w+)\}/g, (token, name) => (name in values ? values[name] : token));
+}
+
+/**
+ * Strips the trailing slash from a path, keeping the root path
+ * @param {string} path - Path
+ * @returns {string} Path
+ */
+function normalizePath(path) {
+  return path.length > 1 ? path.replace(/\/$/, '') : path;
+}
+
+/**
+ * Gets the equivalent of a page on another country site
+ * Falls back to that site's home page when the alternates sheet has no row
+ * for the page.
+ * @param {string} key - Locale key of the other site
+ * @param {string} [pathname] - Page path, defaults to the current page
+ * @returns {Promise<string>} Path on the other site
+ */
+export async function getAlternatePath(key, pathname = window.location.pathname) {
+  const current = getPageLocale(pathname);
+  if (current.key === key) return pathname;
+  try {
+    const url = getMetadata('locale-alternates') || await getConfigValue('locale-alternates') || DEFAULT_ALTERNATES_URL;
+    const data = await fetchJson(url);
+    const rows = Array.isArray(data) ? data : (data?.data || []);
+    const path = normalizePath(pathname);
+    const row = rows.find((r) => r[current.key] && normalizePath(r[current.key]) === path);
+    if (row?.[key]) return row[key];
+  } catch (e) {
+    // no alternates, go to the home page
+  }
+  return LOCALES[key].home;
+}
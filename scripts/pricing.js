@@ -0,0 +1,108 @@
+/**
+ * Pricing
+ * Locale-aware money formatting built on Intl.NumberFormat.
+ *
+ * The locale comes from the `locale` page metadata, then the document language.
+ * The currency comes from an ISO code passed in, then the `currency` page
+ * metadata, then the currency of the country site. Currency symbols passed in
+ * (such as the catalog's '£') are ignored, since one catalog serves every site.
+ */
+
+import { getMetadata } from './aem.js';
+import { getPageLocale } from './locale.js';
+
+const DEFAULT_LOCALE = 'en-GB';
+
+const formatters = new Map();
+
+/**
+ * Gets the page locale
+ * @returns {string} BCP 47 locale, e.g. 'en-GB'
+ */
+export function getLocale() {
+  const locale = getMetadata('locale') || document.documentElement.lang;
+  if (!locale || locale === 'en') return DEFAULT_LOCALE;
+  return locale;
+}
+
+/**
+ * Resolves an ISO 4217 currency code
+ * @param {string} [currency] - ISO code; a currency symbol falls through to the site currency
+ * @returns {string} ISO currency code
+ */
+export function getCurrencyCode(currency) {
+  if (currency && /^[A-Z]{3}$/i.test(currency)) return currency.toUpperCase();
+  const metaCurrency = getMetadata('currency');
+  if (metaCurrency) return metaCurrency.toUpperCase();
+  return getPageLocale().currency;
+}
+
+/**
+ * Gets a cached Intl.NumberFormat for a locale and currency
+ * @param {string} locale - BCP 47 locale
+ * @param {string} currencyCode - ISO currency code
+ * @returns {Intl.NumberFormat} Formatter
+ */
+function getFormatter(locale, currencyCode) {
+  const key = `${locale}|${currencyCode}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency: currencyCode }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Formats an amount of money
+ * @param {number} amount - Amount
+ * @param {Object} [options] - Options
+ * @param {string} [options.currency] - ISO code or symbol, e.g. product.currency
+ * @param {string} [options.locale] - Locale override
+ * @returns {string} Formatted price, e.g. '£1,699.00' or '1.699,00 €'
+ */
+export function formatPrice(amount, { currency, locale } = {}) {
+  const value = Number(amount) || 0;
+  return getFormatter(locale || getLocale(), getCurrencyCode(currency)).format(value);
+}
+
+/**
+ * Formats a price range, collapsing to a single price when both ends match
+ * @param {number} min - Lowest price
+ * @param {number} max - Highest price
+ * @param {Object} [options] - Same options as formatPrice
+ * @returns {string} Formatted range, e.g. '£1,199.00 – £3,999.00'
+ */
+export function formatPriceRange(min, max, options = {}) {
+  if (Number(min) === Number(max)) return formatPrice(min, options);
+  const formatter = getFormatter(options.locale || getLocale(), getCurrencyCode(options.currency));
+  if (formatter.formatRange) return formatter.formatRange(Number(min), Number(max));
+  return `${formatPrice(min, options)} – ${formatPrice(max, options)}`;
+}
+
+/**
+ * Formats a "from" price for cards and listings
+ * @param {number|Array<number>} amounts - Price, or every variant price
+ * @param {Object} [options] - Same options as formatPrice
+ * @returns {string} Formatted price, e.g. 'From £1,199.00', or an empty string
+ * when there are no valid prices
+ */
+export function formatFromPrice(amounts, options = {}) {
+  const prices = [].concat(amounts).map(Number).filter((p) => Number.isFinite(p));
+  if (!prices.length) return '';
+  const lowest = Math.min(...prices);
+  if (prices.length > 1 && prices.some((p) => p !== lowest)) {
+    return `From ${formatPrice(lowest, options)}`;
+  }
+  return formatPrice(lowest, options);
+}
+
+/**
+ * Gets the price a shopper pays for an item
+ * The member price applies only when member pricing is active and it is lower.
+ * @param {Object} item - Product or cart line ({ price, memberPrice })
+ * @param {boolean} memberPricing - Whether the shopper is a signed-in member
+ * @returns {number} Active price
+ */
+export function getActivePrice({ price, memberPrice }, memberPricing) {
+  const member = Number(memberPrice) || 0;
+  return memberPricing && member > 0 && member < Number(price) ? member : Number(price) || 0;
+}
@@ -0,0 +1,104 @@
+/**
+ * Recently viewed products
+ * Keeps a capped, de-duplicated history of viewed products in localStorage,
+ * most recent first.
+ *
+ * Item structure:
+ * {
+ *   sku: 'OLED55G54LW', name: '55 inch LG OLED evo AI G5', image: 'https://...',
+ *   price: 1699.99, currency: 'GBP', url: '/products/OLED55G54LW', viewedAt: 1767225600000
+ * }
+ */
+
+import { getLocalePath } from './locale.js';
+
+const STORAGE_KEY = 'lg-recently-viewed';
+
+export const MAX_RECENTLY_VIEWED = 12;
+export const RECENTLY_VIEWED_CHANGE_EVENT = 'recently-viewed:change';
+
+/**
+ * Reads the history from localStorage
+ * @returns {Array} Viewed products, most recent first
+ */
+function readItems() {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(items)) return items;
+  } catch (e) {
+    // do nothing
+  }
+  return [];
+}
+
+/**
+ * Writes the history and notifies listeners
+ * @param {Array} items - Viewed products
+ */
+function writeItems(items) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  } catch (e) {
+    // do nothing
+  }
+  document.dispatchEvent(new CustomEvent(RECENTLY_VIEWED_CHANGE_EVENT, { detail: { items } }));
+}
+
+/**
+ * Gets the recently viewed products
+ * @param {Object} [options] - Options
+ * @param {string} [options.exclude] - SKU to leave out, e.g. the product on the page
+ * @param {number} [options.limit] - Maximum number of products
+ * @returns {Array} Viewed products, most recent first
+ */
+export function getRecentlyViewed({ exclude, limit = MAX_RECENTLY_VIEWED } = {}) {
+  return readItems()
+    .filter((item) => item.sku !== exclude)
+    .slice(0, limit);
+}
+
+/**
+ * Records a product view, moving the product to the front of the history
+ * @param {Object} product - Product ({ sku, name, image, price, currency, url })
+ */
+export function recordProductView(product) {
+  if (!product?.sku) return;
+  const items = readItems().filter((item) => item.sku !== product.sku);
+  items.unshift({
+    sku: product.sku,
+    name: product.name || product.sku,
+    image: product.image || '',
+    price: Number(product.price) || 0,
+    currency: product.currency || '',
+    url: product.url || getLocalePath(`/products/${product.sku}`),
+    viewedAt: Date.now(),
+  });
+  writeItems(items.slice(0, MAX_RECENTLY_VIEWED));
+}
+
+/**
+ * Empties the history
+ */
+export function clearRecentlyViewed() {
+  writeItems([]);
+}
+
+/**
+ * Subscribes to history changes from this tab and from other open tabs
+ * @param {Function} callback - Called with the viewed products
+ * @returns {Function} Unsubscribe function
+ */
+export function onRecentlyViewedChange(callback) {
+  const handler = (e) => callback(e.detail.items);
+  document.addEventListener(RECENTLY_VIEWED_CHANGE_EVENT, handler);
+  return () => document.removeEventListener(RECENTLY_VIEWED_CHANGE_EVENT, handler);
+}
+
+// keep open tabs in sync
+window.addEventListener('storage', (e) => {
+  if (e.key === STORAGE_KEY) {
+    document.dispatchEvent(new CustomEvent(RECENTLY_VIEWED_CHANGE_EVENT, {
+      detail: { items: readItems() },
+    }));
+  }
+});
@@ -0,0 +1,138 @@
+/**
+ * Reviews client
+ * Loads and submits product reviews.
+ *
+ * The endpoint is read from the `reviews-api` page metadata, then from the
+ * `reviews-api` key of the /config.json sheet, then falls back to the local
+ * stub at /data/reviews.json. The stub is read-only, so submissions against it
+ * are accepted without a request and reported as pending moderation.
+ */
+
+import { getMetadata } from './aem.js';
+import { normalizeSku } from './catalog.js';
+import { fetchJson, getConfigValue } from './data.js';
+
+const STUB_ENDPOINT = '/data/reviews.json';
+
+export const REVIEW_FORM_EVENT = 'reviews:write';
+
+/**
+ * @typedef {Object} Review
+ * @property {string} id
+ * @property {string} sku
+ * @property {number} rating - 1 to 5
+ * @property {string} title
+ * @property {string} text
+ * @property {string} author
+ * @property {string} date - ISO date
+ * @property {boolean} recommend
+ * @property {boolean} verified
+ * @property {number} helpful - Number of shoppers who found the review helpful
+ */
+
+/**
+ * Gets the reviews endpoint (page metadata, then config sheet, then local stub)
+ * @returns {Promise<string>} Endpoint URL
+ */
+export async function getReviewsEndpoint() {
+  return getMetadata('reviews-api') || await getConfigValue('reviews-api') || STUB_ENDPOINT;
+}
+
+/**
+ * Converts a raw API review into a Review
+ * @param {Object} raw - Review as returned by the API
+ * @returns {Review} Review
+ */
+function toReview(raw) {
+  return {
+    id: String(raw.id || ''),
+    sku: normalizeSku(raw.sku),
+    rating: Math.min(Math.max(Math.round(Number(raw.rating) || 0), 1), 5),
+    title: raw.title || '',
+    text: raw.text || '',
+    author: raw.author || 'Anonymous',
+    date: raw.date || '',
+    recommend: raw.recommend === true || raw.recommend === 'true',
+    verified: raw.verified === true || raw.verified === 'true',
+    helpful: Number(raw.helpful) || 0,
+  };
+}
+
+/**
+ * Gets the reviews for a product
+ * @param {string} sku - Product SKU
+ * @returns {Promise<Array<Review>>} Reviews
+ */
+export async function getReviews(sku) {
+  const normalizedSku = normalizeSku(sku);
+  const endpoint = await getReviewsEndpoint();
+  const data = await fetchJson(`${endpoint}?sku=${encodeURIComponent(normalizedSku)}`);
+
+  // accept a bare array or a spreadsheet-style { data: [...] } response
+  const rows = Array.isArray(data) ? data : (data?.data || []);
+  return rows.map(toReview).filter((review) => review.sku === normalizedSku);
+}
+
+/**
+ * Summarises reviews into an average rating and a star histogram
+ * @param {Array<Review>} reviews - Reviews
+ * @returns {{ average: number, count: number, recommendPercentage: number,
+ *   distribution: Object<number, number> }} Summary
+ */
+export function getReviewSummary(reviews) {
+  const distribution = {
+    5: 0, 4: 0, 3: 0, 2: 0, 1: 0,
+  };
+  reviews.forEach((review) => {
+    distribution[review.rating] += 1;
+  });
+  const count = reviews.length;
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+  const recommended = reviews.filter((review) => review.recommend).length;
+  return {
+    average: count ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    recommendPercentage: count ? Math.round((recommended / count) * 100) : 0,
+    distribution,
+  };
+}
+
+/**
+ * Submits a review
+ * @param {Object} review - Review ({ sku, rating, title, text, author, email, recommend })
+ * @returns {Promise<{ status: string }>} Submission result
+ */
+export async function submitReview(review) {
+  const endpoint = await getReviewsEndpoint();
+  const payload = { ...review, sku: normalizeSku(review.sku), date: new Date().toISOString() };
+
+  if (endpoint === STUB_ENDPOINT) return { status: 'pending' };
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  if (!response.ok) {
+    throw new Error(`Review submission failed: ${response.status} ${response.statusText}`);
+  }
+  const result = await response.json().catch(() => ({}));
+  return { status: 'pending', ...result };
+}
+
+/**
+ * Asks the reviews block on the page to open its write-a-review form
+ */
+export function requestReviewForm() {
+  document.dispatchEvent(new CustomEvent(REVIEW_FORM_EVENT));
+}
+
+/**
+ * Subscribes to write-a-review requests
+ * @param {Function} callback - Called when the form should open
+ * @returns {Function} Unsubscribe function
+ */
+export function onReviewFormRequest(callback) {
+  document.addEventListener(REVIEW_FORM_EVENT, callback);
+  return () => document.removeEventListener(REVIEW_FORM_EVENT, callback);
+}
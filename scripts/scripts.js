@@ -12,6 +12,7 @@ import {
   loadSections,
   loadCSS,
 } from './aem.js';
+import { getPageLocale } from './locale.js';
 
 /**
  * Builds hero block and prepends to main in a new section.
@@ -89,18 +90,40 @@ export function decorateMain(main) {
   decorateBlocks(main);
 }
 
+/**
+ * Waits for the LCP image of the first section
+ * Blocks can mark their LCP image with fetchpriority="high" (e.g. the product
+ * gallery); otherwise the first image in the section is used.
+ * @param {Element} section The first section
+ */
+async function waitForLCPImage(section) {
+  const lcpCandidate = section.querySelector('img[fetchpriority="high"]');
+  if (!lcpCandidate) {
+    await waitForFirstImage(section);
+    return;
+  }
+  await new Promise((resolve) => {
+    if (lcpCandidate.complete) {
+      resolve();
+    } else {
+      lcpCandidate.addEventListener('load', resolve);
+      lcpCandidate.addEventListener('error', resolve);
+    }
+  });
+}
+
 /**
  * Loads everything needed to get to LCP.
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
-  document.documentElement.lang = 'en';
+  document.documentElement.lang = getPageLocale().lang;
   decorateTemplateAndTheme();
   const main = doc.querySelector('main');
   if (main) {
     decorateMain(main);
     document.body.classList.add('appear');
-    await loadSection(main.querySelector('.section'), waitForFirstImage);
+    await loadSection(main.querySelector('.section'), waitForLCPImage);
   }
 
   try {
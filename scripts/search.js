@@ -0,0 +1,374 @@
+/**
+ * Site search
+ * Matches queries against a client-side index of the content pages in the
+ * query index and the catalog products.
+ *
+ * Pages are read from the `search-index` page metadata, then from the
+ * `search-index` key of the /config.json sheet, then from /query-index.json.
+ * Synonyms are read the same way from `search-synonyms`, falling back to
+ * /data/search-synonyms.json. Each row lists what a term can also mean:
+ * { term: 'telly', synonyms: 'tv, television' }
+ *
+ * Every word of the query has to match a word in the title or text, either
+ * exactly, as the start of a word, through a synonym or with a small typo.
+ * Recent searches are kept in localStorage, most recent first.
+ */
+
+import { getMetadata } from './aem.js';
+import { getProducts } from './catalog.js';
+import { fetchJson, getConfigValue } from './data.js';
+import { escapeHtml } from './dom.js';
+import { getLocalePath } from './locale.js';
+
+const DEFAULT_INDEX_URL = '/query-index.json';
+const DEFAULT_SYNONYMS_URL = '/data/search-synonyms.json';
+const STORAGE_KEY = 'lg-recent-searches';
+const MAX_RECENT_SEARCHES = 5;
+const TITLE_WEIGHT = 3;
+
+const MATCH_SCORES = { exact: 3, prefix: 2, fuzzy: 1 };
+
+let indexPromise;
+
+/**
+ * @typedef {Object} SearchEntry
+ * @property {string} type - 'product' or 'content'
+ * @property {string} title - Result title
+ * @property {string} description - Text for the snippet
+ * @property {string} url - Result link
+ * @property {string} image - Image URL
+ * @property {Object} [product] - Product, for product results
+ */
+
+/**
+ * Lowercases text and strips accents and punctuation
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Splits text into normalized words
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+export function tokenize(text) {
+  return normalize(text).split(' ').filter(Boolean);
+}
+
+/**
+ * Counts the edits needed to turn one word into another, giving up past a limit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Edit distance, or max + 1 when further apart
+ */
+function getEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    if (Math.min(...current) > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Matches a query word against a word of the index
+ * Short words must match exactly or as a prefix; longer words allow a typo,
+ * and words of eight letters or more allow two.
+ * @param {string} term - Query word
+ * @param {string} word - Indexed word
+ * @returns {number} Match score, 0 when the words do not match
+ */
+function matchWord(term, word) {
+  if (word === term) return MATCH_SCORES.exact;
+  if (word.startsWith(term)) return MATCH_SCORES.prefix;
+  if (term.length < 4) return 0;
+  const max = term.length >= 8 ? 2 : 1;
+  // compare against the start of longer words too, so typos in a prefix still match
+  const distance = Math.min(
+    getEditDistance(term, word, max),
+    getEditDistance(term, word.slice(0, term.length), max),
+  );
+  return distance <= max ? MATCH_SCORES.fuzzy : 0;
+}
+
+/**
+ * Loads the synonyms table
+ * @returns {Promise<Map<string, Array<Array<string>>>>} Words of each synonym, by term
+ */
+export async function getSynonyms() {
+  const url = getMetadata('search-synonyms') || await getConfigValue('search-synonyms') || DEFAULT_SYNONYMS_URL;
+  const synonyms = new Map();
+  try {
+    const data = await fetchJson(url);
+    // accept a bare array or a spreadsheet-style { data: [...] } response
+    const rows = Array.isArray(data) ? data : (data?.data || []);
+    rows.forEach((row) => {
+      const term = normalize(row.term);
+      if (!term) return;
+      const variants = String(row.synonyms || '').split(',').map(tokenize).filter((words) => words.length);
+      synonyms.set(term, [...(synonyms.get(term) || []), ...variants]);
+    });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('Search synonyms are unavailable:', error);
+  }
+  return synonyms;
+}
+
+/**
+ * Builds an index entry
+ * @param {SearchEntry} entry - Entry data
+ * @param {Array<string>} extra - More searchable text, such as SKUs and features
+ * @returns {Object} Index entry with its words
+ */
+function toIndexEntry(entry, extra = []) {
+  return {
+    ...entry,
+    titleWords: tokenize(entry.title),
+    textWords: [...new Set(tokenize([entry.description, ...extra].join(' ')))],
+  };
+}
+
+/**
+ * Loads the content pages from the query index
+ * @returns {Promise<Array<Object>>} Index entries
+ */
+async function getContentEntries() {
+  const url = getMetadata('search-index') || await getConfigValue('search-index') || DEFAULT_INDEX_URL;
+  const data = await fetchJson(url);
+  const rows = Array.isArray(data) ? data : (data?.data || []);
+  return rows
+    .filter((row) => row.path && row.title && !/^\/products\//.test(row.path))
+    .map((row) => toIndexEntry({
+      type: 'content',
+      title: row.title,
+      description: row.description || '',
+      url: row.path,
+      image: row.image || '',
+    }));
+}
+
+/**
+ * Loads the catalog products
+ * @returns {Promise<Array<Object>>} Index entries
+ */
+async function getProductEntries() {
+  const products = await getProducts();
+  return products.map((product) => toIndexEntry({
+    type: 'product',
+    title: product.name,
+    description: product.keyFeatures.join('. '),
+    url: getLocalePath(`/products/${product.sku}`),
+    image: product.galleryImages[0]?.src || '',
+    product,
+  }, [
+    product.sku,
+    product.shortName,
+    product.series,
+    product.category,
+    ...(Array.isArray(product.breadcrumb) ? product.breadcrumb : []).map((item) => item.label),
+  ]));
+}
+
+/**
+ * Gets the search index, loading it on first use
+ * A source that fails to load is left out rather than breaking search.
+ * @returns {Promise<Object>} Index ({ entries, synonyms })
+ */
+export function getSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = Promise.all([
+      Promise.allSettled([getProductEntries(), getContentEntries()]),
+      getSynonyms(),
+    ]).then(([sources, synonyms]) => {
+      sources.filter((source) => source.status === 'rejected').forEach((source) => {
+        // eslint-disable-next-line no-console
+        console.warn('Search source is unavailable:', source.reason);
+      });
+      const entries = sources.flatMap((source) => (source.status === 'fulfilled' ? source.value : []));
+      return { entries, synonyms };
+    });
+  }
+  return indexPromise;
+}
+
+/**
+ * Gets a query word and its synonyms
+ * Synonyms of misspelt terms are included too, so "televsion" still finds TVs.
+ * @param {string} term - Query word
+ * @param {Map<string, Array<Array<string>>>} synonyms - Synonyms table
+ * @returns {Array<Array<string>>} The word and its synonyms, each as words
+ */
+function getVariants(term, synonyms) {
+  const variants = [[term]];
+  synonyms.forEach((words, key) => {
+    if (key === term || matchWord(term, key) === MATCH_SCORES.fuzzy) variants.push(...words);
+  });
+  return variants;
+}
+
+/**
+ * Finds the best match for one query word in an entry
+ * Every matching variant is highlighted, but only the best one is scored.
+ * @param {Object} entry - Index entry
+ * @param {Array<Array<string>>} variants - The word and its synonyms, each as words
+ * @returns {Object|null} Match ({ score, words }), or null when nothing matches
+ */
+function matchTerm(entry, variants) {
+  let best = null;
+  variants.forEach((variant) => {
+    const words = [];
+    let score = 0;
+    const matched = variant.every((term) => {
+      const scored = [
+        ...entry.titleWords.map((word) => ({ word, score: matchWord(term, word) * TITLE_WEIGHT })),
+        ...entry.textWords.map((word) => ({ word, score: matchWord(term, word) })),
+      ].filter((match) => match.score);
+      if (!scored.length) return false;
+      score += Math.max(...scored.map((match) => match.score));
+      words.push(...scored.map((match) => match.word));
+      return true;
+    });
+    if (!matched) return;
+    best = {
+      score: Math.max(best?.score || 0, score / variant.length),
+      words: [...(best?.words || []), ...words],
+    };
+  });
+  return best;
+}
+
+/**
+ * Searches the index
+ * @param {string} query - Search query
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Maximum results per group
+ * @returns {Promise<Object>} Results ({ query, products, content }); each result
+ *   is ({ entry, score, words }) where words are the indexed words to highlight
+ */
+export async function search(query, { limit = Infinity } = {}) {
+  const terms = tokenize(query);
+  const results = { query, products: [], content: [] };
+  if (!terms.length) return results;
+
+  const { entries, synonyms } = await getSearchIndex();
+  const matches = entries.map((entry) => {
+    const termMatches = terms.map((term) => matchTerm(entry, getVariants(term, synonyms)));
+    if (termMatches.some((match) => !match)) return null;
+    return {
+      entry,
+      score: termMatches.reduce((total, match) => total + match.score, 0),
+      words: [...new Set(termMatches.flatMap((match) => match.words))],
+    };
+  }).filter(Boolean).sort((a, b) => b.score - a.score);
+
+  results.products = matches.filter((match) => match.entry.type === 'product').slice(0, limit);
+  results.content = matches.filter((match) => match.entry.type === 'content').slice(0, limit);
+  return results;
+}
+
+/**
+ * Builds a pattern that finds the matched words at the start of words in text
+ * @param {Array<string>} words - Words to find
+ * @returns {RegExp|null} Pattern with one capture group, or null without words
+ */
+function getWordPattern(words) {
+  if (!words.length) return null;
+  const alternatives = [...words]
+    .sort((a, b) => b.length - a.length)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b(${alternatives.join('|')})`, 'gi');
+}
+
+/**
+ * Escapes text and marks the matched words
+ * @param {string} text - Text
+ * @param {Array<string>} words - Words to mark
+ * @returns {string} HTML with the words wrapped in <mark>
+ */
+export function highlight(text, words) {
+  const pattern = getWordPattern(words);
+  if (!pattern) return escapeHtml(text);
+  // split() keeps the captured words at the odd positions
+  return String(text || '').split(pattern)
+    .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * Cuts a snippet of text around the first matched word and marks the matches
+ * @param {string} text - Text
+ * @param {Array<string>} words - Words to mark
+ * @param {number} [length] - Approximate snippet length in characters
+ * @returns {string} Snippet HTML
+ */
+export function getSnippet(text, words, length = 160) {
+  const value = String(text || '');
+  if (value.length <= length) return highlight(value, words);
+
+  const pattern = getWordPattern(words);
+  const first = pattern ? value.search(pattern) : -1;
+  let start = Math.max(first - Math.floor(length / 4), 0);
+  // start and end on word boundaries
+  if (start > 0) start = value.indexOf(' ', start) + 1 || start;
+  let end = Math.min(start + length, value.length);
+  if (end < value.length) end = value.lastIndexOf(' ', end) > start ? value.lastIndexOf(' ', end) : end;
+
+  return `${start > 0 ? '… ' : ''}${highlight(value.slice(start, end), words)}${end < value.length ? ' …' : ''}`;
+}
+
+/**
+ * Gets the recent searches
+ * @returns {Array<string>} Queries, most recent first
+ */
+export function getRecentSearches() {
+  try {
+    const searches = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(searches)) return searches.slice(0, MAX_RECENT_SEARCHES);
+  } catch (e) {
+    // do nothing
+  }
+  return [];
+}
+
+/**
+ * Records a search, moving it to the front of the recent searches
+ * @param {string} query - Search query
+ */
+export function saveRecentSearch(query) {
+  const value = String(query || '').trim();
+  if (!value) return;
+  const searches = getRecentSearches().filter((q) => q.toLowerCase() !== value.toLowerCase());
+  searches.unshift(value);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches.slice(0, MAX_RECENT_SEARCHES)));
+  } catch (e) {
+    // do nothing
+  }
+}
+
+/**
+ * Empties the recent searches
+ */
+export function clearRecentSearches() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // do nothing
+  }
+}
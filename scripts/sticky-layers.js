@@ -0,0 +1,176 @@
+/**
+ * Sticky layers
+ * Stacks the bars that stay on screen while the page scrolls (the header, its
+ * breadcrumb, the product sticky header, in-page navs) so each one sits below
+ * the ones before it, rather than every block working out its own position.
+ *
+ * - Layers stack by order: lower orders sit nearer the top and above the rest
+ * - The combined height of the visible layers is kept in the --sticky-offset
+ *   custom property, which html uses as its scroll padding so anchor jumps and
+ *   scrollIntoView() land below the bars
+ * - In-flow layers stay in the page until they scroll up to the layers above
+ * - Layers added with hideOnScroll slide away while the page scrolls down and
+ *   come back as soon as it scrolls up
+ */
+
+/**
+ * Stack positions of the shared layers
+ */
+export const LAYER_ORDER = {
+  header: 0,
+  breadcrumb: 1,
+  product: 2,
+  page: 3,
+};
+
+// z-index of the top layer; each layer below it gets one less
+const STACK_Z_INDEX = 110;
+// scroll distance that counts as a change of direction
+const SCROLL_TOLERANCE = 8;
+
+const layers = [];
+let offset = 0;
+let lastScrollY = 0;
+let concealed = false;
+let frame = null;
+let resizeObserver = null;
+
+/**
+ * Returns an in-flow layer to its place in the page
+ * @param {Object} layer - Layer
+ */
+function unpin(layer) {
+  const { element, placeholder } = layer;
+  element.classList.remove('is-pinned');
+  ['position', 'top', 'left', 'right'].forEach((property) => element.style.removeProperty(property));
+  placeholder.style.height = '';
+}
+
+/**
+ * Checks whether a layer is being used, so it shouldn't slide away
+ * @param {Element} element - Layer element
+ * @returns {boolean} True when it has focus or the pointer is over it
+ */
+function isInUse(element) {
+  return element.contains(document.activeElement) || element.matches(':hover');
+}
+
+/**
+ * Positions every layer and updates --sticky-offset
+ */
+export function updateStickyLayers() {
+  frame = null;
+  let top = 0;
+  layers.forEach((layer, index) => {
+    const { element, placeholder } = layer;
+    element.style.zIndex = STACK_Z_INDEX - index;
+    if (!element.isConnected || (layer.media && !window.matchMedia(layer.media).matches)) {
+      if (placeholder) unpin(layer);
+      return;
+    }
+
+    const { height } = element.getBoundingClientRect();
+    if (placeholder) {
+      if (placeholder.getBoundingClientRect().top > top) {
+        unpin(layer);
+        return;
+      }
+      element.classList.add('is-pinned');
+      element.style.position = 'fixed';
+      element.style.left = '0';
+      element.style.right = '0';
+      // the pinned bar's margins leave the flow with it
+      const { marginTop, marginBottom } = window.getComputedStyle(element);
+      const margins = (parseFloat(marginTop) || 0) + (parseFloat(marginBottom) || 0);
+      placeholder.style.height = `${height + margins}px`;
+    }
+
+    const hidden = concealed && layer.hideOnScroll && !isInUse(element);
+    element.classList.toggle('is-concealed', hidden);
+    element.style.top = `${top}px`;
+    element.style.transform = hidden ? `translateY(-${top + height}px)` : '';
+    if (!hidden) top += height;
+  });
+  offset = top;
+  document.documentElement.style.setProperty('--sticky-offset', `${offset}px`);
+}
+
+/**
+ * Updates the layers on the next frame
+ */
+function scheduleUpdate() {
+  if (frame === null) frame = window.requestAnimationFrame(updateStickyLayers);
+}
+
+/**
+ * Tracks the scroll direction for layers that hide on scroll
+ */
+function onScroll() {
+  const y = window.scrollY;
+  if (Math.abs(y - lastScrollY) >= SCROLL_TOLERANCE) {
+    // only slide away once the page has scrolled past the bars
+    concealed = y > lastScrollY && y > offset;
+    lastScrollY = y;
+  }
+  scheduleUpdate();
+}
+
+/**
+ * Adds a bar to the stack
+ * @param {Element} element - Bar element
+ * @param {Object} [options] - Layer options
+ * @param {number} [options.order] - Stack position, see LAYER_ORDER
+ * @param {boolean} [options.inFlow] - The bar sits in the page and pins once it
+ * reaches the layers above it
+ * @param {boolean} [options.hideOnScroll] - Slide away while scrolling down
+ * @param {string} [options.media] - Media query the bar stacks under
+ */
+export function addStickyLayer(element, {
+  order = LAYER_ORDER.page,
+  inFlow = false,
+  hideOnScroll = false,
+  media = '',
+} = {}) {
+  if (!element || layers.some((layer) => layer.element === element)) return;
+
+  if (!layers.length) {
+    lastScrollY = window.scrollY;
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+    if (window.ResizeObserver) resizeObserver = new ResizeObserver(scheduleUpdate);
+  }
+
+  const layer = {
+    element, order, hideOnScroll, media,
+  };
+  if (inFlow) {
+    // keeps the bar's place in the page while it is pinned
+    layer.placeholder = document.createElement('div');
+    layer.placeholder.className = 'sticky-layer-placeholder';
+    element.before(layer.placeholder);
+  }
+  element.classList.add('sticky-layer');
+  layers.push(layer);
+  layers.sort((a, b) => a.order - b.order);
+  resizeObserver?.observe(element);
+  scheduleUpdate();
+}
+
+/**
+ * Removes a bar from the stack
+ * Bars that are re-rendered should be removed before they are replaced.
+ * @param {Element} element - Bar element
+ */
+export function removeStickyLayer(element) {
+  const index = layers.findIndex((layer) => layer.element === element);
+  if (index < 0) return;
+  const [layer] = layers.splice(index, 1);
+  if (layer.placeholder) {
+    unpin(layer);
+    layer.placeholder.remove();
+  }
+  resizeObserver?.unobserve(element);
+  element.classList.remove('sticky-layer', 'is-concealed');
+  ['top', 'transform', 'z-index'].forEach((property) => element.style.removeProperty(property));
+  scheduleUpdate();
+}
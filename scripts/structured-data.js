@@ -0,0 +1,108 @@
+/**
+ * Structured data
+ * Builds schema.org JSON-LD and keeps it in <head> up to date.
+ */
+
+import { getBreadcrumbItems, getProductBreadcrumb } from './catalog.js';
+import { getCurrencyCode } from './pricing.js';
+
+const AVAILABILITY = {
+  'in-stock': 'https://schema.org/InStock',
+  'low-stock': 'https://schema.org/LimitedAvailability',
+  'pre-order': 'https://schema.org/PreOrder',
+  'out-of-stock': 'https://schema.org/OutOfStock',
+};
+
+/**
+ * Adds or replaces a JSON-LD script in <head>
+ * @param {string} id - Identifier of the script (one per schema type)
+ * @param {Object|null} data - JSON-LD data, or null to remove the script
+ */
+export function setStructuredData(id, data) {
+  let script = document.head.querySelector(`script[type="application/ld+json"][data-id="${id}"]`);
+  if (!data) {
+    if (script) script.remove();
+    return;
+  }
+  if (!script) {
+    script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.dataset.id = id;
+    document.head.append(script);
+  }
+  script.textContent = JSON.stringify(data);
+}
+
+/**
+ * Builds a BreadcrumbList from breadcrumb items
+ * @param {Array} items - Breadcrumb items ({ label, url })
+ * @returns {Object} BreadcrumbList JSON-LD
+ */
+export function buildBreadcrumbSchema(items) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: item.label,
+      item: new URL(item.url || window.location.pathname, window.location.origin).href,
+    })),
+  };
+}
+
+/**
+ * Builds a Product with its Offer and AggregateRating
+ * @param {Object} product - Product data
+ * @returns {Object} Product JSON-LD
+ */
+export function buildProductSchema(product) {
+  const schema = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    sku: product.sku,
+    mpn: product.sku,
+    name: product.name,
+    brand: { '@type': 'Brand', name: 'LG' },
+    image: (product.galleryImages || []).map((img) => img.src),
+    offers: {
+      '@type': 'Offer',
+      url: window.location.href,
+      price: product.price.toFixed(2),
+      priceCurrency: getCurrencyCode(product.currency),
+      availability: AVAILABILITY[product.availability] || AVAILABILITY['in-stock'],
+      itemCondition: 'https://schema.org/NewCondition',
+    },
+  };
+
+  if (product.keyFeatures?.length) {
+    schema.description = product.keyFeatures.join(' ');
+  }
+
+  if (product.reviewCount > 0) {
+    schema.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: product.rating,
+      reviewCount: product.reviewCount,
+      bestRating: 5,
+      worstRating: 1,
+    };
+  }
+
+  return schema;
+}
+
+/**
+ * Injects (or updates) the Product and BreadcrumbList JSON-LD for a product page
+ * @param {Object} product - Product data
+ */
+export function updateProductStructuredData(product) {
+  setStructuredData('product', buildProductSchema(product));
+  setStructuredData('breadcrumb', buildBreadcrumbSchema(getBreadcrumbItems(product.breadcrumb, product.sku)));
+  // category trails are named from the query index, so follow once it loads
+  if (!product.breadcrumb?.length && product.category) {
+    getProductBreadcrumb(product)
+      .then((items) => setStructuredData('breadcrumb', buildBreadcrumbSchema(items)))
+      .catch(() => {});
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Trade-Up
+ * Values a shopper's old device against the authored trade-up rules.
+ *
+ * Rules are read from the `trade-up-rules` page metadata, then from the
+ * `trade-up-rules` key of the /config.json sheet, then from the local table at
+ * /data/trade-up-rules.json. Each row gives the value of a device; an empty
+ * cell matches anything, and `minPrice` limits a row to new products costing
+ * at least that much:
+ * { category: 'TV', brand: 'LG', age: 'Under 3 years', condition: 'Working',
+ *   minPrice: 0, value: 300 }
+ *
+ * The most specific matching row wins; "Other brand" only matches rows
+ * without a brand. The chosen device is remembered for the
+ * session so it carries from the trade-up page into the buy box and the cart.
+ */
+
+import { getMetadata } from './aem.js';
+import { isMember } from './auth.js';
+import { fetchJson, getConfigValue } from './data.js';
+import { getActivePrice } from './pricing.js';
+
+const DEFAULT_RULES_URL = '/data/trade-up-rules.json';
+const STORAGE_KEY = 'lg-trade-up';
+const FIELDS = ['category', 'brand', 'age', 'condition'];
+
+export const OTHER_BRAND = 'other';
+export const TRADE_UP_CHANGE_EVENT = 'trade-up:change';
+
+/**
+ * @typedef {Object} TradeUp
+ * @property {string} category - Device category, e.g. 'TV'
+ * @property {string} brand - Brand, or OTHER_BRAND
+ * @property {string} age - Age band, e.g. 'Under 3 years'
+ * @property {string} condition - Condition, e.g. 'Working'
+ */
+
+/**
+ * Loads the trade-up rules table
+ * @returns {Promise<Array<Object>>} Rule rows
+ */
+export async function getTradeUpRules() {
+  const url = getMetadata('trade-up-rules') || await getConfigValue('trade-up-rules') || DEFAULT_RULES_URL;
+  const data = await fetchJson(url);
+  // accept a bare array or a spreadsheet-style { data: [...] } response
+  return Array.isArray(data) ? data : (data?.data || []);
+}
+
+/**
+ * Gets the distinct values of a rule column, in sheet order
+ * @param {Array<Object>} rows - Rule rows
+ * @param {string} field - Column name
+ * @returns {Array<string>} Values
+ */
+function getColumnValues(rows, field) {
+  return [...new Set(rows.map((row) => String(row[field] || '').trim()).filter(Boolean))];
+}
+
+/**
+ * Gets the choices offered for each field
+ * Brands, ages and conditions depend on the chosen category.
+ * @param {Array<Object>} rules - Rule rows
+ * @param {string} [category] - Chosen category
+ * @returns {Object} Choices ({ categories, brands, ages, conditions })
+ */
+export function getTradeUpChoices(rules, category) {
+  const rows = rules.filter((row) => !row.category || row.category === category);
+  return {
+    categories: getColumnValues(rules, 'category'),
+    brands: category ? getColumnValues(rows, 'brand') : [],
+    ages: category ? getColumnValues(rows, 'age') : [],
+    conditions: category ? getColumnValues(rows, 'condition') : [],
+  };
+}
+
+/**
+ * Checks whether every field with choices has been answered
+ * @param {Array<Object>} rules - Rule rows
+ * @param {TradeUp} tradeUp - Chosen device
+ * @returns {boolean} True when the device can be valued
+ */
+export function isTradeUpComplete(rules, tradeUp) {
+  if (!tradeUp?.category) return false;
+  const choices = getTradeUpChoices(rules, tradeUp.category);
+  return (!choices.brands.length || Boolean(tradeUp.brand))
+    && (!choices.ages.length || Boolean(tradeUp.age))
+    && (!choices.conditions.length || Boolean(tradeUp.condition));
+}
+
+/**
+ * Values a device
+ * Without a product, the best value across all new products is returned.
+ * The value never exceeds the price the shopper pays, which is the member
+ * price for signed-in members.
+ * @param {Array<Object>} rules - Rule rows
+ * @param {TradeUp} tradeUp - Chosen device
+ * @param {Object} [product] - New product ({ price, memberPrice })
+ * @returns {number} Trade-up value, 0 when the device has no value
+ */
+export function getTradeUpValue(rules, tradeUp, product) {
+  if (!isTradeUpComplete(rules, tradeUp)) return 0;
+  const price = product ? getActivePrice(product, isMember()) : 0;
+
+  const matches = rules
+    .filter((row) => FIELDS.every((field) => {
+      const value = String(row[field] || '').trim();
+      return !value || value === tradeUp[field];
+    }))
+    .filter((row) => !product || price >= (Number(row.minPrice) || 0))
+    .map((row) => ({
+      specificity: FIELDS.filter((field) => row[field]).length,
+      minPrice: Number(row.minPrice) || 0,
+      value: Number(row.value) || 0,
+    }));
+  if (!matches.length) return 0;
+
+  // most specific row first; without a product show the best offer,
+  // otherwise the row for the highest price band
+  matches.sort((a, b) => b.specificity - a.specificity
+    || (product ? b.minPrice - a.minPrice : b.value - a.value)
+    || a.value - b.value);
+  const { value } = matches[0];
+  return product ? Math.min(value, price) : value;
+}
+
+/**
+ * Describes a device for the cart
+ * @param {TradeUp} tradeUp - Chosen device
+ * @returns {string} Description, e.g. 'Samsung TV, 3-6 years, Working'
+ */
+export function describeTradeUp(tradeUp) {
+  const brand = tradeUp.brand && tradeUp.brand !== OTHER_BRAND ? `${tradeUp.brand} ` : '';
+  return [`${brand}${tradeUp.category}`, tradeUp.age, tradeUp.condition].filter(Boolean).join(', ');
+}
+
+/**
+ * Gets the device chosen this session
+ * @returns {TradeUp|null} Chosen device
+ */
+export function getSavedTradeUp() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remembers the chosen device for this session and notifies listeners
+ * @param {TradeUp|null} tradeUp - Chosen device, or null to clear it
+ */
+export function saveTradeUp(tradeUp) {
+  try {
+    if (tradeUp) sessionStorage.setItem(STORAGE_KEY, JSON.stringify(tradeUp));
+    else sessionStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // do nothing
+  }
+  document.dispatchEvent(new CustomEvent(TRADE_UP_CHANGE_EVENT, { detail: { tradeUp } }));
+}
+
+/**
+ * Subscribes to changes of the chosen device
+ * @param {Function} callback - Called with the chosen device, or null
+ * @returns {Function} Unsubscribe function
+ */
+export function onTradeUpChange(callback) {
+  const handler = (e) => callback(e.detail.tradeUp);
+  document.addEventListener(TRADE_UP_CHANGE_EVENT, handler);
+  return () => document.removeEventListener(TRADE_UP_CHANGE_EVENT, handler);
+}
+
+/**
+ * Builds the cart adjustment for the chosen device against a product
+ * @param {Object} product - New product ({ price, memberPrice })
+ * @returns {Promise<Object|null>} Adjustment ({ type, label, amount }), null without a trade-up
+ */
+export async function getTradeUpAdjustment(product) {
+  const tradeUp = getSavedTradeUp();
+  if (!tradeUp) return null;
+  const amount = getTradeUpValue(await getTradeUpRules(), tradeUp, product);
+  return amount > 0 ? { type: 'trade-up', label: `Trade-Up: ${describeTradeUp(tradeUp)}`, amount } : null;
+}